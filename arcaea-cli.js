@@ -0,0 +1,303 @@
+#!/usr/bin/env node
+// arcaea-cli.js -- Command line tools for Arcaea charts, built on arcaea-core.js.
+// Run `node arcaea-cli.js help` for the usage.
+var fs = require("fs");
+var path = require("path");
+var { Chart, ChartValidator, AffFormatError } = require("./arcaea-core.js");
+
+var usage = `Usage: node arcaea-cli.js <command> <file> [options]
+
+Commands:
+  lint <file> [--disable rule,...]    Reports the errors in the chart. Exits with 1 if there are any.
+  stats <file> [--json]               Prints the note counts, max combo, length, BPM range and peak density.
+  normalize <file> [-o out]           Sorts the events and re-exports the chart.
+  shift <file> <ms> [--bake] [-o out] Adds <ms> to the AudioOffset.
+                                      --bake moves the events instead and sets AudioOffset to 0.
+  mirror <file> [-o out]              Mirrors the chart horizontally.
+  rate <file> <rate> [-o out]         Rescales the chart to be played at <rate> times the speed, like 1.1.
+  quantize <file> [--divisors 16,12] [--max-distance ms] [-o out]
+                                      Snaps the notes to the 1/n beat grid and reports the moved ones.
+  diff <old> <new>                    Lists the added, removed and modified events. Exits with 1 if there are any.
+  convert <file> [-o out]             Converts an .aff chart to JSON, or a .json chart back to .aff.
+
+Options:
+  -o, --output <file>  Writes the result to <file> instead of stdout.`;
+
+/** The options followed by a value. */
+var valueOptions = ["-o", "--output", "--disable", "--divisors", "--max-distance"];
+
+/**
+ * Splits the arguments into positional ones and options.
+ * @param {string[]} argv
+ */
+function parseArgs(argv) {
+    var args = [];
+    var options = {};
+    for(var i=0; i<argv.length; i++) {
+        var a = argv[i];
+        if(valueOptions.indexOf(a) != -1) {
+            options[a == "-o" ? "output" : a.substring(2)] = argv[++i];
+        } else if(a.startsWith("--")) {
+            options[a.substring(2)] = true;
+        } else {
+            args.push(a);
+        }
+    }
+    return { args, options };
+}
+
+class CliError extends Error {
+    /**
+     * @param {string} msg
+     * @param {number} exitCode
+     */
+    constructor(msg, exitCode = 2) {
+        super(msg);
+        this.exitCode = exitCode;
+    }
+}
+
+/**
+ * @param {string} file
+ */
+function readFile(file) {
+    if(!file) {
+        throw new CliError("Missing chart file.\n\n" + usage);
+    }
+    try {
+        return fs.readFileSync(file, "utf8");
+    } catch(ex) {
+        throw new CliError(`Couldn't read ${file}: ${ex.message}`);
+    }
+}
+
+/**
+ * Reads an .aff or .json chart, failing on the first format error.
+ * @param {string} file
+ * @param {string} raw The content of the file, if it was already read.
+ */
+function readChart(file, raw = readFile(file)) {
+    try {
+        if(isJson(file, raw)) {
+            return Chart.fromJSON(JSON.parse(raw));
+        }
+        return Chart.fromRaw(raw);
+    } catch(ex) {
+        if(ex instanceof AffFormatError || ex instanceof SyntaxError) {
+            throw new CliError(`${file}: ${ex.message}`, 1);
+        }
+        throw ex;
+    }
+}
+
+/**
+ * @param {string} file
+ * @param {string} raw
+ */
+function isJson(file, raw) {
+    return path.extname(file).toLowerCase() == ".json" || raw.trimStart().startsWith("{");
+}
+
+/**
+ * @param {string} content
+ * @param {string | undefined} output
+ */
+function writeOutput(content, output) {
+    if(output) {
+        fs.writeFileSync(output, content);
+    } else {
+        process.stdout.write(content);
+    }
+}
+
+var commands = {
+    lint(args, options) {
+        var file = args[0];
+        var result = Chart.parse(readFile(file));
+
+        var validator = new ChartValidator();
+        if(options.disable) {
+            options.disable.split(",").forEach(name => {
+                try {
+                    validator.setEnabled(name.trim(), false);
+                } catch(ex) {
+                    throw new CliError(ex.message);
+                }
+            });
+        }
+
+        /** @type {{ line: number, column: number, severity: string, message: string }[]} */
+        var reports = [];
+        result.errors.forEach(e => reports.push({ line: e.line, column: e.column, severity: "error", message: e.reason }));
+        result.warnings.forEach(e => reports.push({ line: e.line, column: e.column, severity: "warning", message: e.reason }));
+
+        // The rules would report the problems caused by the skipped lines again.
+        if(result.errors.length == 0) {
+            validator.validate(result.chart).forEach(f => {
+                reports.push({ line: f.line, column: -1, severity: f.severity, message: `${f.message} [${f.rule}]` });
+            });
+        }
+
+        reports.sort((a, b) => a.line - b.line);
+        reports.forEach(r => {
+            var location = r.line == -1 ? "" : ":" + r.line + (r.column == -1 ? "" : ":" + r.column);
+            console.log(`${file}${location}: ${r.severity}: ${r.message}`);
+        });
+
+        var errors = reports.filter(r => r.severity == "error").length;
+        console.log(`${errors} error(s), ${reports.length - errors} warning(s)`);
+        return errors > 0 ? 1 : 0;
+    },
+
+    stats(args, options) {
+        var chart = readChart(args[0]);
+        var stats = chart.getStatistics();
+        var bpms = stats.bpmChanges.map(c => c.bpm);
+        var bpm = {
+            min: bpms.length ? Math.min.apply(Math, bpms) : 0,
+            max: bpms.length ? Math.max.apply(Math, bpms) : 0
+        };
+
+        if(options.json) {
+            console.log(JSON.stringify({
+                counts: stats.counts,
+                maxCombo: stats.maxCombo,
+                length: stats.length,
+                bpm,
+                peakDensity: stats.peakDensity,
+                timingGroups: stats.timingGroups
+            }, null, 2));
+            return 0;
+        }
+
+        var seconds = Math.floor(stats.length / 1000);
+        console.log(`Taps:          ${stats.counts.taps}`);
+        console.log(`Holds:         ${stats.counts.holds}`);
+        console.log(`Arcs:          ${stats.counts.arcs}`);
+        console.log(`Traces:        ${stats.counts.traces}`);
+        console.log(`Arctaps:       ${stats.counts.arctaps}`);
+        console.log(`Max combo:     ${stats.maxCombo}`);
+        console.log(`Length:        ${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")} (${stats.length}ms)`);
+        console.log(`BPM:           ${bpm.min == bpm.max ? bpm.min : bpm.min + " - " + bpm.max}`);
+        console.log(`Peak density:  ${stats.peakDensity.nps} notes/s at ${stats.peakDensity.time}ms`);
+        console.log(`Timing groups: ${stats.timingGroups.length}`);
+        return 0;
+    },
+
+    normalize(args, options) {
+        var chart = readChart(args[0]);
+        writeOutput(chart.export(false, "normalized"), options.output);
+        return 0;
+    },
+
+    shift(args, options) {
+        var chart = readChart(args[0]);
+        var amount = parseFloat(args[1]);
+        if(isNaN(amount)) {
+            throw new CliError("Expected the offset to shift in milliseconds.\n\n" + usage);
+        }
+
+        chart.offset += amount;
+        writeOutput(chart.export(!!options.bake, "lossless"), options.output);
+        return 0;
+    },
+
+    mirror(args, options) {
+        var chart = readChart(args[0]);
+        writeOutput(chart.mirror().export(false, "lossless"), options.output);
+        return 0;
+    },
+
+    rate(args, options) {
+        var chart = readChart(args[0]);
+        var rate = parseFloat(args[1]);
+        if(!(rate > 0)) {
+            throw new CliError("Expected a positive rate, like 1.1.\n\n" + usage);
+        }
+        writeOutput(chart.changeRate(rate).export(false, "lossless"), options.output);
+        return 0;
+    },
+
+    quantize(args, options) {
+        var file = args[0];
+        var raw = readFile(file);
+        var chart = readChart(file, raw);
+
+        var divisors = (options.divisors || "16,12").split(",").map(n => parseInt(n));
+        if(divisors.some(n => !(n > 0))) {
+            throw new CliError("Expected positive divisors, like 4,3.\n\n" + usage);
+        }
+        var maxDistance = options["max-distance"] == null ? Infinity : parseFloat(options["max-distance"]);
+        if(isNaN(maxDistance)) {
+            throw new CliError("Expected the max distance in milliseconds.\n\n" + usage);
+        }
+
+        var lines = isJson(file, raw) ? new Map() : chart.getLineNumbers();
+        var moves = chart.quantize(divisors, maxDistance);
+
+        // The report goes to stderr, so the chart can still be piped.
+        moves.forEach(m => {
+            var line = lines.has(m.event) ? ":" + lines.get(m.event) : "";
+            var name = m.event.constructor.name;
+            console.error(`${file}${line}: ${name} ${m.field} ${m.from} -> ${m.to} (${m.distance > 0 ? "+" : ""}${m.distance}ms)`);
+        });
+        console.error(`${moves.length} time(s) moved`);
+
+        writeOutput(chart.export(false, "lossless"), options.output);
+        return 0;
+    },
+
+    diff(args, options) {
+        var before = readChart(args[0]);
+        var after = readChart(args[1]);
+        var beforeLines = before.getLineNumbers();
+        var afterLines = after.getLineNumbers();
+        var signs = { added: "+", removed: "-", modified: "~" };
+
+        var entries = Chart.diff(before, after);
+        entries.forEach(e => {
+            var lines = e.kind == "removed" ? beforeLines : afterLines;
+            var target = e.kind == "removed" ? e.before : e.after;
+            var line = lines.has(target) ? ` (line ${lines.get(target)})` : "";
+            var text = e.type == "timinggroup" ? `timinggroup(${target.exportAttributes()})` : target.export().replace(/;$/, "");
+            var fields = e.fields.length ? ` [${e.fields.join(", ")}]` : "";
+            console.log(`${signs[e.kind]} group ${e.group}${line}: ${text}${fields}`);
+        });
+        console.log(`${entries.length} change(s)`);
+        return entries.length > 0 ? 1 : 0;
+    },
+
+    convert(args, options) {
+        var file = args[0];
+        var raw = readFile(file);
+        var chart = readChart(file, raw);
+        if(isJson(file, raw)) {
+            writeOutput(chart.export(false), options.output);
+        } else {
+            writeOutput(JSON.stringify(chart, null, 2) + "\n", options.output);
+        }
+        return 0;
+    }
+};
+
+function main() {
+    var { args, options } = parseArgs(process.argv.slice(2));
+    var command = args.shift();
+
+    if(!command || command == "help" || options.help) {
+        console.log(usage);
+        return 0;
+    }
+    if(!commands.hasOwnProperty(command)) {
+        throw new CliError(`Unknown command: ${command}.\n\n` + usage);
+    }
+    return commands[command](args, options);
+}
+
+try {
+    process.exitCode = main();
+} catch(ex) {
+    if(!(ex instanceof CliError)) throw ex;
+    console.error(ex.message);
+    process.exitCode = ex.exitCode;
+}
@@ -0,0 +1,2688 @@
+// arcaea-core.js -- The chart model and timing of arcaea.js. It doesn't depend on THREE or the DOM,
+// so it can also be used from Node with `require("./arcaea-core.js")`.
+/**
+ * @typedef {"qi" | "qo" | "l" | "s" | "reset"} ArcCameraType
+ * @typedef {"s" | "si" | "sisi" | "siso" | "so" | "sosi" | "soso" | "b"} ArcLineType
+ * @typedef {0 | 1 | 2} ArcLineColor
+ * @typedef {"trackhide" | "trackshow" | "redline" | "arcahvdistort" | "arcahvdebris" | "hidegroup" | "enwidencamera" | "enwidenlanes"} SceneControlType
+ * @typedef {"default" | "lossless" | "normalized"} AffExportMode
+ * @typedef {{
+ *  text: string, cr: boolean,
+ *  kind: "header" | "separator" | "groupStart" | "groupEnd" | "event" | "other",
+ *  key?: string, value?: string, group?: TimingGroup, attributes?: string,
+ *  event?: ArcaeaEvent, exported?: string
+ * }} AffSourceLine
+ * @typedef {"error" | "warning"} ChartFindingSeverity
+ * @typedef {{
+ *  rule: string, severity: ChartFindingSeverity, message: string,
+ *  event: ArcaeaEvent | TimingGroup | null, line: number
+ * }} ChartFinding
+ * @typedef {{
+ *  timing: number, offset: number, length: number, dropRate: number
+ * }} TimingContext The playback state the floor positions are calculated against.\
+ * `timing` is the current audio time and `length` the song length, both in milliseconds.
+ * @typedef {{
+ *  maxCombo: number,
+ *  counts: { taps: number, holds: number, arcs: number, traces: number, arctaps: number },
+ *  length: number,
+ *  density: { window: number, step: number, values: number[] },
+ *  peakDensity: { time: number, nps: number },
+ *  bpmChanges: { group: number, time: number, bpm: number, beatsPerLine: number }[],
+ *  timingGroups: { group: number, start: number, end: number, noInput: boolean }[]
+ * }} ChartStatistics All times are chart times in milliseconds, without `AudioOffset`.\
+ * `density.values[i]` is the notes per second in the window ending at `i * density.step`.
+ * @typedef {{
+ *  density: number, laneJumps: number, arcSpeed: number, dualArcs: number, holdOverlap: number
+ * }} DifficultyFactors
+ * @typedef {{ rating: number, factors: DifficultyFactors }} DifficultyEstimate
+ * @typedef {{
+ *  event: ArcaeaEvent, field: "time" | "endTime", from: number, to: number, distance: number
+ * }} QuantizeMove An event time moved by `Chart.quantize`. `distance` is `to - from` in milliseconds.
+ * @typedef {"added" | "removed" | "modified"} ChartDiffKind
+ * @typedef {{
+ *  kind: ChartDiffKind, group: number, type: string, time: number,
+ *  before: ArcaeaEvent | TimingGroup | null, after: ArcaeaEvent | TimingGroup | null, fields: string[]
+ * }} ChartDiffEntry A change found by `Chart.diff`. `type` is the `event` field of `toJSON`, or `timinggroup`.\
+ * `fields` lists the changed fields of a modified event, like `["endTime"]`.
+ * @typedef {{ measure: number, beat: number, fraction: number }} BeatPosition A zero-based musical position.\
+ * `fraction` is how far the time is into the beat, between 0 and 1.
+ */
+
+var ArcAlgorithm = {
+    /**
+     * Converts the X value from Arcaea space to world space.
+     * @param {number} x
+     */
+    arcXToWorld: (x) => {
+        return -8.5 * x + 4.25;
+    },
+
+    /**
+     * Converts the Y value from Arcaea space to world space.
+     * @param {number} y
+     */
+    arcYToWorld: (y) => {
+        return 1 + 4.5 * y;
+    },
+
+    /**
+     * Converts the X value from world space to Arcaea space.
+     * @param {number} x
+     */
+    worldXToArc: (x) => {
+        return (x - 4.25) / -8.5;
+    },
+    /**
+     * Converts the Y value from world space to Arcaea space.
+     * @param {number} y
+     */
+    worldYToArc: (y) => {
+        return (y - 1) / 4.5;
+    },
+
+    /**
+     * Apply linear interpolation with a range and a progress.
+     * @param {number} a The start value.
+     * @param {number} b The end value.
+     * @param {number} t The progress.
+     */
+    s: (a, b, t) => {
+        return (1 - t) * a + b * t;
+    },
+
+    /**
+     * Apply cosine interpolation with a range and a progress.
+     * @param {number} a The start value.
+     * @param {number} b The end value.
+     * @param {number} t The progress.
+     */
+    o: (a, b, t) => {
+        return a + (b - a) * (1 - Math.cos(1.5707963 * t));
+    },
+
+    /**
+     * Apply sine interpolation with a range and a progress.
+     * @param {number} a The start value.
+     * @param {number} b The end value.
+     * @param {number} t The progress.
+     */
+    i: (a, b, t) => {
+        return a + (b - a) * Math.sin(1.5707963 * t);
+    },
+
+    /**
+     * Apply cubic interpolation with a range and a progress.\
+     * Returns `ap^3 + 3tap^2 + 3pbt^2 + bt^3 (p=1-t)`.
+     * @param {number} a The start value.
+     * @param {number} b The end value.
+     * @param {number} t The progress.
+     */
+    b: (a, b, t) => {
+        var o = 1 - t;
+        return Math.pow(o, 3) * a + 3 * Math.pow(o, 2) * t * a + 3 * o * Math.pow(t, 2) * b + Math.pow(t, 3) * b;
+    },
+
+    /**
+     * @param {number} a
+     * @param {number} b
+     * @param {number} t
+     * @param {ArcLineType} type
+     */
+    resolveX: (a, b, t, type) => {
+        switch(type) {
+            default:
+            case "s":
+                return ArcAlgorithm.s(a, b, t);
+            case "b":
+                return ArcAlgorithm.b(a, b, t);
+            case "si":
+            case "sisi":
+            case "siso":
+                return ArcAlgorithm.i(a, b ,t);
+            case "so":
+            case "sosi":
+            case "soso":
+                return ArcAlgorithm.o(a, b, t);
+        }
+    },
+
+    /**
+     * @param {number} a
+     * @param {number} b
+     * @param {number} t
+     * @param {ArcLineType} type
+     */
+    resolveY: (a, b, t, type) => {
+        switch(type) {
+            default:
+            case "s":
+            case "si":
+            case "so":
+                return ArcAlgorithm.s(a, b, t);
+            case "b":
+                return ArcAlgorithm.b(a, b, t);
+            case "sisi":
+            case "sosi":
+                return ArcAlgorithm.i(a, b ,t);
+            case "siso":
+            case "soso":
+                return ArcAlgorithm.o(a, b, t);
+        }
+    },
+
+    /**
+     * @param {number} v
+     */
+    qi: (v) => {
+        return Math.pow(v, 3);
+    },
+    /**
+     * @param {number} v
+     */
+    qo: (v) => {
+        return Math.pow(--v, 3) + 1;
+    }
+}
+
+var Utils = {
+    /**
+     * @param {number} t
+     * @param {number} a
+     * @param {number} b
+     */
+    clamp: (t, a, b) => {
+        return Math.max(a, Math.min(b, t));
+    },
+
+    numTo2f: (num) => {
+        var d = (Math.abs(num) == 1 || Math.abs(num) == 0) ? 1 : Math.ceil(
+            Math.log10(Math.abs(num)) + 0.00001
+        );
+        return num.toPrecision(2 + d);
+    },
+
+    /**
+     * Formats a number with 2 decimal places, keeping more of them if the number needs them.
+     * Used by the `lossless` and `normalized` exports instead of `numTo2f`.
+     * @param {number} num
+     */
+    formatFloat: (num) => {
+        var rounded = parseFloat(num.toPrecision(12));
+        var fixed = rounded.toFixed(2);
+        return parseFloat(fixed) == rounded ? fixed : String(rounded);
+    },
+    
+    lerp: (a, b, t) => {
+        return a + (b - a) * Utils.clamp(t, 0, 1);
+    }
+}
+
+class Chart {
+    constructor() {
+        /** @type {TimingGroup[]} */
+        this.timingGroups = [];
+        this.offset = 0;
+
+        /**
+         * The header lines before the `-` separator, like `AudioOffset` and `TimingPointDensityFactor`.\
+         * `AudioOffset` is kept in sync with `offset` when exporting.
+         * @type {Map<string, string>}
+         */
+        this.metadata = new Map();
+
+        /**
+         * The URL the chart was downloaded from, used to find the custom hitsounds.
+         * @type {string | null}
+         */
+        this.url = null;
+
+        /**
+         * The lines the chart was parsed from, used by the lossless export.
+         * @type {{ lines: AffSourceLine[], crlf: boolean } | null}
+         */
+        this.source = null;
+
+        /** Whether the chart is currently mirrored by `mirror`. */
+        this.mirrored = false;
+    }
+
+    /**
+     * Parses an Arcaea chart, throwing the first `AffFormatError` found.
+     * @param {string} raw 
+     */
+    static fromRaw(raw) {
+        var result = Chart.parse(raw);
+        if(result.errors.length > 0) {
+            throw result.errors[0];
+        }
+        return result.chart;
+    }
+
+    /**
+     * Parses an Arcaea chart and collects every problem instead of stopping at the first one.\
+     * Lines that cannot be parsed are skipped, so the returned chart only contains the valid events.
+     * @param {string} raw 
+     * @returns {{ chart: Chart, errors: AffFormatError[], warnings: AffFormatError[] }}
+     */
+    static parse(raw) {
+        var chart = new Chart();
+        var primary = new TimingGroup(true);
+        var targetGroup = primary;
+        chart.timingGroups.push(primary);
+
+        /** @type {AffFormatError[]} */
+        var errors = [];
+        /** @type {AffFormatError[]} */
+        var warnings = [];
+
+        var inHeader = true;
+        var lines = raw.split("\n");
+        var source = chart.source = {
+            lines: [],
+            crlf: raw.indexOf("\r\n") != -1
+        };
+
+        lines.forEach((line, i) => {
+            var text = line.replace(/\r$/, "");
+            var trimmed = text.trim();
+            var indent = text.length - text.trimStart().length;
+
+            /** @type {AffSourceLine} */
+            var entry = { text, cr: text.length != line.length, kind: "other" };
+            source.lines.push(entry);
+
+            if(inHeader) {
+                if(trimmed == "-") {
+                    entry.kind = "separator";
+                    inHeader = false;
+                    return;
+                }
+
+                // Read the metadata, like `AudioOffset:0`.
+                var result = trimmed.match(/^([^:(]+):(.*)$/);
+                if(result) {
+                    var key = result[1].trim();
+                    var value = result[2].trim();
+                    if(key == "AudioOffset") {
+                        chart.offset = parseFloat(value);
+                        if(isNaN(chart.offset)) {
+                            chart.offset = 0;
+                            errors.push(new AffFormatError(`Invalid Arcaea chart format. Could't read AudioOffset.`, i + 1, indent + 1, text));
+                        }
+                    }
+                    chart.metadata.set(key, value);
+                    Object.assign(entry, { kind: "header", key, value });
+                    return;
+                }
+
+                if(trimmed.length == 0) return;
+                if(trimmed.indexOf("(") == -1) {
+                    errors.push(new AffFormatError(`Invalid chart header. Expected "Key:Value" or "-".`, i + 1, indent + 1, text));
+                    return;
+                }
+
+                // The separator is missing, read the line as an event.
+                errors.push(new AffFormatError(`Invalid Arcaea chart format. The header must end with a line of exactly "-".`, i + 1, indent + 1, text));
+                inHeader = false;
+            }
+
+            if(trimmed.length == 0) return;
+
+            if(trimmed.startsWith("timinggroup(")) {
+                if(targetGroup != primary) {
+                    warnings.push(new AffFormatError("Nested timing groups are not supported. The previous group is closed here.", i + 1, indent + 1, text));
+                }
+                targetGroup = new TimingGroup();
+                chart.timingGroups.push(targetGroup);
+
+                var attributes = trimmed.substring("timinggroup(".length, trimmed.lastIndexOf(")"));
+                targetGroup.parseAttributes(attributes).forEach(a => {
+                    warnings.push(new AffFormatError(`Unknown timing group attribute: ${a}.`, i + 1, indent + text.trimStart().indexOf(a) + 1, text));
+                });
+                Object.assign(entry, { kind: "groupStart", group: targetGroup, attributes: targetGroup.exportAttributes() });
+            } else if(trimmed.startsWith("};")) {
+                if(targetGroup == primary) {
+                    warnings.push(new AffFormatError("Unexpected end of timing group.", i + 1, indent + 1, text));
+                } else {
+                    Object.assign(entry, { kind: "groupEnd", group: targetGroup });
+                }
+                targetGroup = primary;
+            } else {
+                try {
+                    var event = ArcaeaEvent.fromRaw(trimmed, targetGroup, i);
+                    if(event) {
+                        targetGroup.events.push(event);
+                        Object.assign(entry, { kind: "event", group: targetGroup, event, exported: event.export(0, true) });
+                    } else {
+                        warnings.push(new AffFormatError("Unrecognized line, ignored.", i + 1, indent + 1, text));
+                    }
+                } catch(ex) {
+                    if(!(ex instanceof AffFormatError)) throw ex;
+                    errors.push(ex.locate(i + 1, indent, text));
+                }
+            }
+        });
+
+        if(targetGroup != primary) {
+            warnings.push(new AffFormatError("The last timing group is not closed.", lines.length, 1, lines[lines.length - 1]));
+        }
+
+        if(!chart.metadata.has("AudioOffset")) {
+            errors.push(new AffFormatError(`Invalid Arcaea chart format. Could't read AudioOffset.`, 1, 1, lines[0]));
+        }
+
+        return { chart, errors, warnings };
+    }
+
+    /**
+     * Export the `Chart` to Arcaea chart format string.
+     * 
+     * - `default` writes the events in their current order.
+     * - `lossless` reproduces the parsed file byte by byte, only rewriting the lines whose events were modified.
+     *   Added events are appended to their timing group, and the ones of the primary group to the end of the file.
+     *   Falls back to `default` if the chart was not parsed.
+     * - `normalized` sorts the events of each timing group by time and always uses `\n` line endings.
+     * @param {boolean} fixOffset Whether to make `AudioOffset` be 0.\
+     *                            You may be required to adjust the base timing event time manually.
+     * @param {AffExportMode} mode
+     */
+    export(fixOffset, mode = "default") {
+        if(mode == "lossless" && this.source) {
+            return this.exportLossless(fixOffset);
+        }
+
+        var offset = fixOffset ? 0 : this.offset;
+        var header = this.metadata.has("AudioOffset") ? "" : "AudioOffset:" + offset + "\n";
+        this.metadata.forEach((value, key) => {
+            header += key + ":" + (key == "AudioOffset" ? offset : value) + "\n";
+        });
+        header += "-\n";
+        var normalized = mode == "normalized";
+        return header + this.timingGroups.map(t => t.export(fixOffset ? this.offset : 0, normalized, normalized)).join("");
+    }
+
+    /**
+     * @param {boolean} fixOffset 
+     */
+    exportLossless(fixOffset) {
+        var shift = fixOffset ? this.offset : 0;
+        var lines = [];
+        var push = (text, cr = this.source.crlf) => {
+            lines.push(text + (cr ? "\r" : ""));
+        };
+
+        /** @type {Set<ArcaeaEvent>} */
+        var written = new Set();
+        /** @type {Set<TimingGroup>} */
+        var seenGroups = new Set();
+
+        // The events still at their source lines are written there, not as added events.
+        /** @type {Set<ArcaeaEvent>} */
+        var pending = new Set();
+        this.source.lines.forEach(l => {
+            if(l.kind == "event" && this.timingGroups.indexOf(l.group) != -1 && l.group.events.indexOf(l.event) != -1) {
+                pending.add(l.event);
+            }
+        });
+
+        var primary = this.getPrimaryTimingGroup();
+        var currentGroup = primary;
+        var skipping = false;
+
+        /** @type {Map<TimingGroup, string>} */
+        var indents = new Map();
+        var writeNewEvents = (group, indent) => {
+            if(indents.has(group)) indent = indents.get(group);
+            group.events.forEach(e => {
+                if(!written.has(e) && !pending.has(e)) {
+                    push(indent + e.export(shift, true));
+                    written.add(e);
+                }
+            });
+        };
+
+        this.source.lines.forEach(l => {
+            switch(l.kind) {
+                case "header":
+                    if(!this.metadata.has(l.key)) return;
+                    var value = l.key == "AudioOffset" ? String(fixOffset ? 0 : this.offset) : this.metadata.get(l.key);
+                    push(value == l.value ? l.text : l.key + ":" + value, l.cr);
+                    return;
+                case "separator":
+                    this.metadata.forEach((value, key) => {
+                        if(!this.source.lines.some(s => s.kind == "header" && s.key == key)) {
+                            push(key + ":" + value);
+                        }
+                    });
+                    push(l.text, l.cr);
+                    return;
+                case "groupStart":
+                    seenGroups.add(l.group);
+                    currentGroup = l.group;
+                    skipping = this.timingGroups.indexOf(l.group) == -1;
+                    if(skipping) return;
+
+                    var attributes = l.group.exportAttributes();
+                    push(attributes == l.attributes ? l.text : l.text.replace(/timinggroup\(.*?\)/, `timinggroup(${attributes})`), l.cr);
+                    return;
+                case "groupEnd":
+                    if(!skipping) {
+                        writeNewEvents(l.group, "    ");
+                        push(l.text, l.cr);
+                    }
+                    currentGroup = primary;
+                    skipping = false;
+                    return;
+                case "event":
+                    if(skipping || !pending.has(l.event) || written.has(l.event)) return;
+                    var exported = l.event.export(shift, true);
+                    var indent = l.text.substring(0, l.text.length - l.text.trimStart().length);
+                    indents.set(l.group, indent);
+                    push(exported == l.exported ? l.text : indent + exported, l.cr);
+                    written.add(l.event);
+                    return;
+                default:
+                    if(!skipping) push(l.text, l.cr);
+                    return;
+            }
+        });
+
+        // The trailing line break of the file is kept as the last (empty) line.
+        var trailing = lines.length > 0 && lines[lines.length - 1].replace(/\r$/, "") == "" ? lines.pop() : null;
+        if(currentGroup != primary && !skipping) {
+            writeNewEvents(currentGroup, "    ");
+        }
+        writeNewEvents(primary, "");
+        seenGroups.add(primary);
+        this.timingGroups.forEach(g => {
+            if(seenGroups.has(g)) return;
+            g.export(shift, false, true).split("\n").forEach(t => {
+                if(t.length > 0) push(t);
+            });
+        });
+        if(trailing != null) lines.push(trailing);
+
+        return lines.join("\n");
+    }
+
+    static async download(url) {
+        var chart = Chart.fromRaw(await (await fetch(url, {
+            cache: "no-cache"
+        })).text());
+        chart.url = url;
+        return chart;
+    }
+
+    /**
+     * @return {TapNote[]}
+     */
+    taps() {
+        var result = [];
+        this.timingGroups.forEach(t => {
+            result.push.apply(result, t.events.filter(e => {
+                return e instanceof TapNote;
+            }));
+        });
+        return result;
+    }
+
+    /**
+     * @return {Arc[]}
+     */
+    arcs() {
+        var result = [];
+        this.timingGroups.forEach(t => {
+            result.push.apply(result, t.events.filter(e => {
+                return e instanceof Arc;
+            }));
+        });
+        return result;
+    }
+
+    /**
+     * @return {HoldNote[]}
+     */
+    holds() {
+        var result = [];
+        this.timingGroups.forEach(t => {
+            result.push.apply(result, t.events.filter(e => {
+                return e instanceof HoldNote;
+            }));
+        });
+        return result;
+    }
+
+    /**
+     * @return {CameraEvent[]}
+     */
+    cameras() {
+        var result = [];
+        this.timingGroups.forEach(t => {
+            result.push.apply(result, t.events.filter(e => {
+                return e instanceof CameraEvent;
+            }));
+        });
+        return result;
+    }
+
+    /**
+     * @return {SceneControlEvent[]}
+     */
+    sceneControls() {
+        var result = [];
+        this.timingGroups.forEach(t => {
+            result.push.apply(result, t.events.filter(e => {
+                return e instanceof SceneControlEvent;
+            }));
+        });
+        return result;
+    }
+
+    getPrimaryTimingGroup() {
+        return this.timingGroups[0];
+    }
+
+    /**
+     * Maps the parsed events and timing groups to their 1-based line numbers in the source file.\
+     * Arctaps are mapped to the line of their arc.
+     * @returns {Map<ArcaeaEvent | TimingGroup, number>}
+     */
+    getLineNumbers() {
+        var result = new Map();
+        if(!this.source) return result;
+
+        this.source.lines.forEach((l, i) => {
+            if(l.kind == "groupStart") {
+                result.set(l.group, i + 1);
+            } else if(l.kind == "event") {
+                result.set(l.event, i + 1);
+                if(l.event instanceof Arc) {
+                    l.event.arcTaps.forEach(t => result.set(t, i + 1));
+                }
+            }
+        });
+        return result;
+    }
+
+    /**
+     * Returns the `TimingPointDensityFactor` of the chart, which scales the count of judge timings of holds and arcs.
+     */
+    getDensityFactor() {
+        var factor = parseFloat(this.metadata.get("TimingPointDensityFactor"));
+        return factor > 0 ? factor : 1;
+    }
+
+    /**
+     * Links the connected arcs and calculates the judge timings of every hold and arc,
+     * like the managers do when the chart is loaded.
+     */
+    calculateJudgeTimings() {
+        var densityFactor = this.getDensityFactor();
+        var arcs = this.arcs();
+        Arc.calculateArcRelationship(arcs);
+        arcs.forEach(a => a.calculateJudgeTimings(densityFactor));
+        this.holds().forEach(h => h.calculateJudgeTimings(densityFactor));
+    }
+
+    /**
+     * Counts the max combo of the chart. Notes in `noinput` groups are not counted.
+     */
+    countTotal() {
+        return this.getComboTimings().length;
+    }
+
+    /**
+     * Returns the sorted times of everything that counts towards the combo: taps, hold heads and ticks,
+     * arc ticks and the arctaps on traces. Notes in `noinput` groups are not counted.
+     * @returns {number[]}
+     */
+    getComboTimings() {
+        this.calculateJudgeTimings();
+
+        var result = [];
+        this.timingGroups.forEach(g => {
+            if(g.noInput) return;
+            g.events.forEach(e => {
+                if(e instanceof TapNote) {
+                    result.push(e.time);
+                } else if(e instanceof HoldNote) {
+                    result.push(e.time);
+                    result.push.apply(result, e.judgeTimings);
+                } else if(e instanceof Arc) {
+                    if(e.isVoid) {
+                        result.push.apply(result, e.arcTaps.map(t => t.time));
+                    } else {
+                        result.push.apply(result, e.judgeTimings);
+                    }
+                }
+            });
+        });
+        return result.sort((a, b) => a - b);
+    }
+
+    /**
+     * Returns the time of the last event of the chart, including the ends of holds and arcs.
+     */
+    getLength() {
+        var length = 0;
+        this.timingGroups.forEach(g => {
+            g.events.forEach(e => {
+                length = Math.max(length, e.endTime || e.time);
+            });
+        });
+        return length;
+    }
+
+    /**
+     * Collects the statistics of the chart without loading it into the game.
+     * @param {number} windowSize The size of the sliding window of the note density, in milliseconds.
+     * @param {number} step The interval between the samples of the note density, in milliseconds.
+     * @returns {ChartStatistics}
+     */
+    getStatistics(windowSize = 1000, step = 250) {
+        var timings = this.getComboTimings();
+        var length = this.getLength();
+        var arcs = this.arcs();
+
+        // Count the combo timings inside (t - windowSize, t] with two cursors.
+        var values = [];
+        var peakDensity = { time: 0, nps: 0 };
+        var head = 0, tail = 0;
+        for(var t = 0; t <= length + step; t += step) {
+            while(head < timings.length && timings[head] <= t) head++;
+            while(tail < head && timings[tail] <= t - windowSize) tail++;
+
+            var nps = (head - tail) * 1000 / windowSize;
+            values.push(nps);
+            if(nps > peakDensity.nps) {
+                peakDensity = { time: t, nps };
+            }
+        }
+
+        var bpmChanges = [];
+        var timingGroups = [];
+        this.timingGroups.forEach((g, i) => {
+            g.getTimingEvents().forEach(e => {
+                bpmChanges.push({ group: i, time: e.time, bpm: e.bpm, beatsPerLine: e.beatsPerLine });
+            });
+
+            var start = Infinity, end = -Infinity;
+            g.events.forEach(e => {
+                if(e instanceof TimingEvent) return;
+                start = Math.min(start, e.time);
+                end = Math.max(end, e.endTime || e.time);
+            });
+            if(start > end) start = end = 0;
+            timingGroups.push({ group: i, start, end, noInput: g.noInput });
+        });
+
+        return {
+            maxCombo: timings.length,
+            counts: {
+                taps: this.taps().length,
+                holds: this.holds().length,
+                arcs: arcs.filter(a => !a.isVoid).length,
+                traces: arcs.filter(a => a.isVoid).length,
+                arctaps: arcs.reduce((n, a) => n + a.arcTaps.length, 0)
+            },
+            length,
+            density: { window: windowSize, step, values },
+            peakDensity,
+            bpmChanges,
+            timingGroups
+        };
+    }
+
+    /**
+     * Mirrors the chart horizontally in place. Mirroring again restores the chart.
+     * 
+     * - Tap and hold lanes `n` become `5 - n`.
+     * - Arc X coordinates `x` become `1 - x`, and blue and red arcs are swapped.
+     * - The X translation and Y rotation of cameras, and the `angley` of timing groups, are negated.
+     * 
+     * Export the chart afterwards to get the mirrored AFF.
+     */
+    mirror() {
+        this.timingGroups.forEach(g => {
+            g.angleY = -g.angleY;
+            g.events.forEach(e => {
+                if(e instanceof TapNote || e instanceof HoldNote) {
+                    e.lane = 5 - e.lane;
+                } else if(e instanceof Arc) {
+                    e.start.x = 1 - e.start.x;
+                    e.end.x = 1 - e.end.x;
+                    if(e.color == 0 || e.color == 1) {
+                        e.color = 1 - e.color;
+                    }
+                } else if(e instanceof CameraEvent) {
+                    e.translation.x = -e.translation.x;
+                    e.rotation.y = -e.rotation.y;
+                }
+            });
+        });
+        this.mirrored = !this.mirrored;
+        return this;
+    }
+
+    /**
+     * Rescales the chart in place to be played at `rate` times the speed, like 1.1 for a 1.1x training version.\
+     * Event times, end times, camera and scenecontrol durations and `AudioOffset` are divided by `rate`,
+     * and BPMs are multiplied by it. Pair the exported chart with audio time-stretched by the same rate.\
+     * The scenecontrol durations are rounded to 2 decimal places, like they are written.
+     * @param {number} rate 
+     */
+    changeRate(rate) {
+        if(!(rate > 0)) {
+            throw new RangeError("The rate must be a positive number.");
+        }
+
+        var scale = t => Math.round(t / rate);
+        this.offset = scale(this.offset);
+        this.timingGroups.forEach(g => {
+            g.events.forEach(e => {
+                e.time = scale(e.time);
+                if(e instanceof HoldNote || e instanceof Arc) {
+                    e.endTime = scale(e.endTime);
+                }
+                if(e instanceof Arc) {
+                    e.arcTaps.forEach(t => t.time = scale(t.time));
+                } else if(e instanceof TimingEvent) {
+                    e.bpm *= rate;
+                } else if(e instanceof CameraEvent) {
+                    e.duration = scale(e.duration);
+                } else if(e instanceof SceneControlEvent && e.params.length > 0) {
+                    e.params[0] = Math.round(e.params[0] / rate * 100) / 100;
+                }
+            });
+            g.invalidateTimings();
+        });
+        return this;
+    }
+
+    /**
+     * Snaps the times of the notes in place to the beat grid of their timing groups, see `TimingGroup.snapToBeat`.\
+     * Timing, camera and scenecontrol events are not moved. A time is left as it is if snapping it would make
+     * a hold or an arc end before it starts, or move an arctap out of its arc.
+     * @param {number[]} divisors Like `[4, 3]` for 1/4 and 1/3 beats.
+     * @param {number} maxDistance Times further than this from the grid, in milliseconds, are left as they are.
+     * @returns {QuantizeMove[]}
+     */
+    quantize(divisors = [16, 12], maxDistance = Infinity) {
+        /** @type {QuantizeMove[]} */
+        var moves = [];
+        var snap = (event, field, group) => {
+            var from = event[field];
+            var to = group.snapToBeat(from, divisors);
+            if(to == from || Math.abs(to - from) > maxDistance) return;
+            if(field == "endTime" && to <= event.time) return;
+            if(field == "time" && (event instanceof HoldNote || event instanceof Arc) && to >= event.endTime) return;
+
+            if(event instanceof Arc && event.arcTaps.length > 0) {
+                var times = event.arcTaps.map(t => t.time);
+                if(field == "time" && to > Math.min.apply(Math, times)) return;
+                if(field == "endTime" && to < Math.max.apply(Math, times)) return;
+            }
+            if(event instanceof ArctapNote && (to < event.parent.time || to > event.parent.endTime)) return;
+
+            event[field] = to;
+            moves.push({ event, field, from, to, distance: to - from });
+        };
+
+        this.timingGroups.forEach(g => {
+            g.events.forEach(e => {
+                if(e instanceof TapNote || e instanceof HoldNote || e instanceof Arc) {
+                    snap(e, "time", g);
+                }
+                if(e instanceof HoldNote || e instanceof Arc) {
+                    snap(e, "endTime", g);
+                }
+                if(e instanceof Arc) {
+                    e.arcTaps.forEach(t => snap(t, "time", g));
+                }
+            });
+        });
+        return moves;
+    }
+
+    /**
+     * Compares two revisions of a chart semantically. Events are matched per timing group by their type and time,
+     * so reordering or reformatting the file doesn't count as a change.
+     * @param {Chart} before 
+     * @param {Chart} after 
+     * @returns {ChartDiffEntry[]} The changes, sorted by time.
+     */
+    static diff(before, after) {
+        /** @type {ChartDiffEntry[]} */
+        var entries = [];
+        var count = Math.max(before.timingGroups.length, after.timingGroups.length);
+
+        for(var i=0; i<count; i++) {
+            var a = before.timingGroups[i];
+            var b = after.timingGroups[i];
+
+            if(!a || !b || a.exportAttributes() != b.exportAttributes()) {
+                entries.push({
+                    kind: !a ? "added" : !b ? "removed" : "modified", group: i, type: "timinggroup", time: 0,
+                    before: a || null, after: b || null, fields: a && b ? ["attributes"] : []
+                });
+            }
+            Chart.diffEvents(a ? a.events : [], b ? b.events : [], i, entries);
+        }
+
+        return entries.sort((a, b) => (a.time - b.time) || (a.group - b.group));
+    }
+
+    /**
+     * @param {ArcaeaEvent[]} before 
+     * @param {ArcaeaEvent[]} after 
+     * @param {number} group The index of the timing group.
+     * @param {ChartDiffEntry[]} entries The array to push the changes to.
+     */
+    static diffEvents(before, after, group, entries) {
+        /** @type {Map<string, { before: ArcaeaEvent[], after: ArcaeaEvent[] }>} */
+        var buckets = new Map();
+        var bucket = e => {
+            var key = e.toJSON().event + "@" + e.time;
+            if(!buckets.has(key)) buckets.set(key, { before: [], after: [] });
+            return buckets.get(key);
+        };
+        before.forEach(e => bucket(e).before.push(e));
+        after.forEach(e => bucket(e).after.push(e));
+
+        buckets.forEach(b => {
+            // Events at the same time which didn't change, like the notes of a chord.
+            var unchanged = b.after.filter(e => {
+                var exported = e.export(0, true);
+                var index = b.before.findIndex(o => o.export(0, true) == exported);
+                if(index == -1) return false;
+                b.before.splice(index, 1);
+                return true;
+            });
+            var changed = b.after.filter(e => unchanged.indexOf(e) == -1);
+
+            changed.forEach((e, i) => {
+                var old = b.before[i];
+                var type = e.toJSON().event;
+                if(!old) {
+                    entries.push({ kind: "added", group, type, time: e.time, before: null, after: e, fields: [] });
+                    return;
+                }
+
+                var oldJson = old.toJSON();
+                var newJson = e.toJSON();
+                var fields = Object.keys(newJson).filter(k => JSON.stringify(oldJson[k]) != JSON.stringify(newJson[k]));
+                entries.push({ kind: "modified", group, type, time: e.time, before: old, after: e, fields });
+            });
+
+            b.before.slice(changed.length).forEach(e => {
+                entries.push({ kind: "removed", group, type: e.toJSON().event, time: e.time, before: e, after: null, fields: [] });
+            });
+        });
+    }
+
+    /**
+     * Returns a plain object representing the chart, used by `JSON.stringify`.
+     * `AudioOffset` is kept in sync with `offset`.
+     */
+    toJSON() {
+        var metadata = {};
+        this.metadata.forEach((value, key) => {
+            metadata[key] = value;
+        });
+        metadata.AudioOffset = String(this.offset);
+
+        return {
+            metadata,
+            timingGroups: this.timingGroups.map(t => t.toJSON())
+        };
+    }
+
+    /**
+     * Creates a chart from the object returned by `toJSON`. The first timing group is the primary one.
+     * @param {object} json
+     */
+    static fromJSON(json) {
+        var chart = new Chart();
+        Object.keys(json.metadata || {}).forEach(key => {
+            chart.metadata.set(key, String(json.metadata[key]));
+        });
+        chart.offset = parseFloat(chart.metadata.get("AudioOffset")) || 0;
+        chart.metadata.set("AudioOffset", String(chart.offset));
+
+        (json.timingGroups || []).forEach((t, i) => {
+            chart.timingGroups.push(TimingGroup.fromJSON(t, i == 0));
+        });
+        if(chart.timingGroups.length == 0) {
+            chart.timingGroups.push(new TimingGroup(true));
+        }
+        return chart;
+    }
+}
+
+class AffFormatError extends Error {
+    /**
+     * @param {string} msg A human-readable reason.
+     * @param {number} line The 1-based line number, or -1 if unknown.
+     * @param {number} column The 1-based column number, or -1 if unknown.
+     * @param {string | null} text The offending line.
+     */
+    constructor(msg, line = -1, column = -1, text = null) {
+        super(msg);
+        this.reason = msg;
+        this.line = line;
+        this.column = column;
+        this.text = text;
+        this.updateMessage();
+    }
+
+    /**
+     * Attaches the location in the chart file to an error thrown while parsing a single line.
+     * @param {number} line The 1-based line number.
+     * @param {number} indent The count of characters trimmed from the start of the line.
+     * @param {string} text The offending line.
+     */
+    locate(line, indent, text) {
+        this.line = line;
+        this.column = (this.column == -1 ? 1 : this.column) + indent;
+        this.text = text;
+        this.updateMessage();
+        return this;
+    }
+
+    updateMessage() {
+        this.message = this.line == -1 ? this.reason : `${this.reason} (line ${this.line}, column ${this.column})`;
+    }
+}
+
+class TimingGroup {
+    constructor(isPrimary = false) {
+        this.isPrimary = isPrimary;
+
+        /** @type {ArcaeaEvent[]} */
+        this.events = [];
+
+        /** @type {number[]} */
+        this.keyTimes = [];
+        this.pairCount = 0;
+        this.starts = [];
+        this.ends = [];
+
+        /** @type {TimingEvent[]} */
+        this.timings = null;
+
+        /** The floor positions of the timing events, see `getPositionTable`. */
+        this.positionTable = null;
+
+        /** Notes in this group take no input and don't count towards the combo. */
+        this.noInput = false;
+
+        /** Hold notes in this group fade out while being held. */
+        this.fadingHolds = false;
+
+        /** The rotation of the note lanes around the X axis, in tenths of a degree. */
+        this.angleX = 0;
+
+        /** The rotation of the note lanes around the Y axis, in tenths of a degree. */
+        this.angleY = 0;
+
+        /**
+         * Attributes this viewer doesn't understand, kept as-is for exporting.
+         * @type {string[]}
+         */
+        this.extraAttributes = [];
+    }
+
+    /**
+     * Reads the attributes inside `timinggroup(...)`, like `noinput_anglex900`.
+     * @param {string} raw 
+     * @returns {string[]} The attributes that were not recognized.
+     */
+    parseAttributes(raw) {
+        raw.split("_").forEach(a => {
+            a = a.trim();
+            if(a.length == 0) return;
+
+            var angle = a.match(/^angle([xy])(-?\d+(?:\.\d+)?)$/);
+            if(a == "noinput") {
+                this.noInput = true;
+            } else if(a == "fadingholds") {
+                this.fadingHolds = true;
+            } else if(angle) {
+                if(angle[1] == "x") this.angleX = parseFloat(angle[2]);
+                else this.angleY = parseFloat(angle[2]);
+            } else {
+                this.extraAttributes.push(a);
+            }
+        });
+        return this.extraAttributes.slice();
+    }
+
+    exportAttributes() {
+        var attributes = [];
+        if(this.noInput) attributes.push("noinput");
+        if(this.fadingHolds) attributes.push("fadingholds");
+        if(this.angleX != 0) attributes.push("anglex" + this.angleX);
+        if(this.angleY != 0) attributes.push("angley" + this.angleY);
+        attributes.push.apply(attributes, this.extraAttributes);
+        return attributes.join("_");
+    }
+
+    /**
+     * @param {number} offset 
+     * @param {boolean} sorted Whether to sort the events by time, with timing events first.
+     * @param {boolean} precise Whether to format the numbers with `Utils.formatFloat`.
+     */
+    export(offset = 0, sorted = false, precise = false) {
+        var content = "";
+        if(!this.isPrimary) {
+            content += `timinggroup(${this.exportAttributes()}){\n`;
+        }
+
+        var events = this.events;
+        if(sorted) {
+            events = events.slice().sort((a, b) => {
+                return (a.time - b.time) || ((b instanceof TimingEvent) - (a instanceof TimingEvent));
+            });
+        }
+
+        content += events.map(e => {
+            return (this.isPrimary ? "" : "    ") + e.export(offset, precise) + "\n";
+        }).join("");
+
+        if(!this.isPrimary) {
+            content += "};\n";
+        }
+
+        return content;
+    }
+
+    toJSON() {
+        var result = {};
+        if(!this.isPrimary) {
+            result.attributes = this.exportAttributes();
+        }
+        result.events = this.events.map(e => e.toJSON());
+        return result;
+    }
+
+    /**
+     * @param {object} json The object returned by `toJSON`.
+     * @param {boolean} isPrimary
+     */
+    static fromJSON(json, isPrimary = false) {
+        var group = new TimingGroup(isPrimary);
+        if(json.attributes) {
+            group.parseAttributes(json.attributes);
+        }
+        (json.events || []).forEach(e => {
+            group.events.push(ArcaeaEvent.fromJSON(e, group));
+        });
+        return group;
+    }
+
+    getBaseBpm() {
+        /** @type {TimingEvent} */
+        var event = this.getTimingEvents()[0];
+
+        if(!event) {
+            throw new AffFormatError("Invalid Arcaea file format. The timing group has no timing event.");
+        }
+        return event.bpm;
+    }
+
+    /** @return {TimingEvent[]} */
+    getTimingEvents() {
+        if(this.timings == null) {
+            this.timings = Object.freeze(this.events.filter(n => {
+                return n instanceof TimingEvent;
+            }).sort((a, b) => {
+                return a.time - b.time
+            }));
+        }
+        return this.timings;
+    }
+
+    /**
+     * Returns where each timing event of this group starts, in measures.
+     * Every timing event starts a new measure, like the beatlines, and a partial measure before it counts as one.
+     * @returns {{ event: TimingEvent, measure: number, beatLength: number, beatsPerMeasure: number }[]}
+     */
+    getTempoMap() {
+        var result = [];
+        var measure = 0;
+        this.getTimingEvents().forEach((e, i, timings) => {
+            var bpm = Math.abs(e.bpm);
+            var entry = {
+                event: e,
+                measure,
+                beatLength: bpm > 0 ? 60000 / bpm : Infinity,
+                beatsPerMeasure: e.beatsPerLine > 0 ? e.beatsPerLine : 4
+            };
+            result.push(entry);
+
+            var next = timings[i + 1];
+            if(next) {
+                var measureLength = entry.beatLength * entry.beatsPerMeasure;
+                measure += Math.max(1, Math.ceil((next.time - e.time) / measureLength - 1e-6));
+            }
+        });
+        return result;
+    }
+
+    /**
+     * Converts a time in milliseconds to a musical position, using the timing events of this group.\
+     * A `beatsPerLine` of 0 counts as 4 beats per measure, and a BPM of 0 stays on the first beat of its measure.
+     * @param {number} time 
+     * @returns {BeatPosition}
+     */
+    getBeatByTiming(time) {
+        var map = this.getTempoMap();
+        if(map.length == 0) {
+            throw new AffFormatError("Invalid Arcaea file format. The timing group has no timing event.");
+        }
+
+        var i = 0;
+        while(i < map.length - 1 && map[i + 1].event.time <= time) i++;
+        var entry = map[i];
+
+        var beats = (time - entry.event.time) / entry.beatLength;
+        var whole = Math.floor(beats + 1e-6);
+        var measures = Math.floor(whole / entry.beatsPerMeasure);
+        return {
+            measure: entry.measure + measures,
+            beat: whole - measures * entry.beatsPerMeasure,
+            fraction: Utils.clamp(beats - whole, 0, 1)
+        };
+    }
+
+    /**
+     * Converts a musical position to a time in milliseconds, the reverse of `getBeatByTiming`.
+     * @param {number} measure The zero-based measure.
+     * @param {number} beat The zero-based beat in the measure.
+     * @param {number} fraction How far into the beat, between 0 and 1.
+     */
+    getTimingByBeat(measure, beat = 0, fraction = 0) {
+        var map = this.getTempoMap();
+        if(map.length == 0) {
+            throw new AffFormatError("Invalid Arcaea file format. The timing group has no timing event.");
+        }
+
+        var i = 0;
+        while(i < map.length - 1 && map[i + 1].measure <= measure) i++;
+        var entry = map[i];
+        if(entry.beatLength == Infinity) return entry.event.time;
+
+        var beats = (measure - entry.measure) * entry.beatsPerMeasure + beat + fraction;
+        return entry.event.time + beats * entry.beatLength;
+    }
+
+    /**
+     * Returns the nearest time on the beat grid of this group, where the grid has a line
+     * on every `1/n` beat for each `n` in `divisors`, counted from each timing event.\
+     * Returns the time unchanged if the BPM there is 0.
+     * @param {number} time 
+     * @param {number[]} divisors Like `[4, 3]` for 1/4 and 1/3 beats.
+     */
+    snapToBeat(time, divisors) {
+        var timings = this.getTimingEvents();
+        if(timings.length == 0) return time;
+
+        var i = 0;
+        while(i < timings.length - 1 && timings[i + 1].time <= time) i++;
+
+        var start = timings[i].time;
+        var bpm = Math.abs(timings[i].bpm);
+        if(bpm == 0) return time;
+
+        var beat = 60000 / bpm;
+        var candidates = divisors.map(n => {
+            var step = beat / n;
+            return start + Math.round((time - start) / step) * step;
+        });
+
+        // The next timing event starts a new grid, so it is always on the grid.
+        if(i < timings.length - 1) {
+            candidates.push(timings[i + 1].time);
+        }
+
+        var result = time;
+        var distance = Infinity;
+        candidates.forEach(c => {
+            if(Math.abs(c - time) < distance) {
+                distance = Math.abs(c - time);
+                result = c;
+            }
+        });
+        return Math.round(result);
+    }
+
+    getBpmByTiming(timing) {
+        var timings = this.getTimingEvents();
+        for(var i=0; i<timings.length - 1; i++) {
+            if(
+                timing > timings[i].time &&
+                timing < timings[i+1].time
+            ) {
+                return timings[i].bpm;
+            }
+        }
+        return timings[timings.length - 1].bpm;
+    }
+
+    /**
+     * Returns the floor position of each timing event, cached until the timing events are invalidated
+     * or the drop rate changes.\
+     * The floor position at a time is where it is on the track, relative to the first timing event.
+     * @param {number} dropRate 
+     * @returns {{
+     *  dropRate: number, base: number, times: number[], slopes: number[], positions: number[], monotonic: boolean
+     * }}
+     */
+    getPositionTable(dropRate) {
+        var table = this.positionTable;
+        if(table && table.dropRate == dropRate) return table;
+
+        var timings = this.getTimingEvents();
+        var base = this.getBaseBpm();
+        table = this.positionTable = {
+            dropRate,
+            base,
+            times: timings.map(t => t.time),
+            slopes: timings.map(t => t.bpm / base * dropRate),
+            positions: [0],
+            monotonic: timings.every(t => t.bpm >= 0)
+        };
+        for(var i=1; i<timings.length; i++) {
+            table.positions.push(table.positions[i - 1] + (table.times[i] - table.times[i - 1]) * table.slopes[i - 1]);
+        }
+        return table;
+    }
+
+    /**
+     * Clears the cached timing events and floor positions.
+     * Call it after adding, removing or changing the timing events of this group.
+     */
+    invalidateTimings() {
+        this.timings = null;
+        this.positionTable = null;
+    }
+
+    /**
+     * Returns the index of the timing event in effect at a chart time, or 0 before the first one.
+     * @param {number[]} times The sorted times of the timing events.
+     * @param {number} time 
+     */
+    static findTimingIndex(times, time) {
+        var lo = 0;
+        var hi = times.length - 1;
+        while(lo < hi) {
+            var mid = (lo + hi + 1) >> 1;
+            if(times[mid] <= time) lo = mid;
+            else hi = mid - 1;
+        }
+        return lo;
+    }
+
+    /**
+     * Returns the floor position at a chart time, without `AudioOffset`.
+     * @param {number} time 
+     * @param {number} dropRate 
+     */
+    getFloorPosition(time, dropRate) {
+        var table = this.getPositionTable(dropRate);
+        var i = TimingGroup.findTimingIndex(table.times, time);
+        return table.positions[i] + (time - table.times[i]) * table.slopes[i];
+    }
+
+    /**
+     * @param {number} timing 
+     * @param {TimingContext} context 
+     */
+    getPosByTiming(timing, context) {
+        return this.getPosByTimingWithStart(context.timing, timing, context);
+    }
+
+    /**
+     * Returns the audio time at which the floor position is `pos` ahead of the current one.
+     * @param {number} pos 
+     * @param {number} depth Which crossing to return, as the position can cross `pos` more than once with negative BPMs.
+     * @param {TimingContext} context 
+     */
+    getTimingByPos(pos, depth, context) {
+        var table = this.getPositionTable(context.dropRate);
+        var offset = context.offset;
+        var now = context.timing - offset;
+        var end = context.length - offset;
+        var last = table.times.length - 1;
+
+        var start = TimingGroup.findTimingIndex(table.times, now);
+        if(start == last) {
+            // The last timing event goes on forever, so there is always a time for the position.
+            var slope = table.slopes[last] || context.dropRate / table.base;
+            return Math.min(context.length, Math.floor(context.timing + pos / slope));
+        }
+        var target = this.getFloorPosition(now, context.dropRate) + pos;
+
+        // Without negative BPMs the position only goes forward, so the first crossing can be searched.
+        var first = start;
+        if(table.monotonic) {
+            var hi = last;
+            while(first < hi) {
+                var mid = (first + hi) >> 1;
+                if(table.positions[mid + 1] >= target) hi = mid;
+                else first = mid + 1;
+            }
+        }
+
+        var depthCount = 0;
+        for(var i=first; i<=last; i++) {
+            var from = i == start ? now : table.times[i];
+            var to = i == last ? end : table.times[i + 1];
+            var a = table.positions[i] + (from - table.times[i]) * table.slopes[i];
+            var b = table.positions[i] + (to - table.times[i]) * table.slopes[i];
+            if(table.monotonic && a > target) break;
+
+            // A crossing at the start of a segment was already counted at the end of the previous one.
+            var crosses = Math.min(a, b) <= target && target <= Math.max(a, b) && (i == start || target != a);
+            if(!crosses || depthCount++ < depth) continue;
+
+            var time = table.slopes[i] == 0 ? table.times[i] : from + (target - a) / table.slopes[i];
+            return Math.min(context.length, Math.floor(time + offset));
+        }
+        return context.length;
+    }
+
+    /**
+     * Returns the distance on the track between two audio times.
+     * @param {number} start 
+     * @param {number} timing 
+     * @param {TimingContext} context 
+     */
+    getPosByTimingWithStart(start, timing, context) {
+        var offset = context.offset;
+        return this.getFloorPosition(timing - offset, context.dropRate) - this.getFloorPosition(start - offset, context.dropRate);
+    }
+
+    /**
+     * 
+     * @param {number} time 
+     * @param {number} delay 
+     */
+    shouldRender(time, delay = 120) {
+        for(var i=0; i<this.pairCount; ++i) {
+            if(time >= this.starts[i] - delay && time <= this.ends[i]) return true;
+        }
+        return false;
+    }
+
+    /**
+     * @param {TimingContext} context 
+     */
+    updateRenderRange(context) {
+        this.pairCount = 0;
+        this.keyTimes = [];
+
+        this.keyTimes.push(
+            context.timing,
+            context.timing,
+            this.getTimingByPos(0, 0, context),
+            this.getTimingByPos(100000, 0, context)
+        );
+
+        for(var i=0; i<this.keyTimes.length; i += 2) {
+            this.starts[this.pairCount] = this.keyTimes[i];
+            this.ends[this.pairCount] = this.keyTimes[i+1];
+            this.pairCount++;
+        }
+    }
+}
+
+class AffExportError extends Error {
+    /** 
+     * @param {string | null} msg
+     */
+    constructor(msg = null) {
+        super(msg);
+    }
+}
+
+class ArcaeaEvent {
+    /** 
+     * @param {TimingGroup} timingGroup
+     * @param {number} time 
+     */
+    constructor(timingGroup, time) {
+        /** An integer represents the note time in milliseconds. */
+        this.time = time;
+
+        /** @type {TimingGroup} */
+        this.timingGroup = timingGroup;
+
+        /** The rendering object of the event, attached by the managers. */
+        this.gameObject = null;
+    }
+
+    /**
+     * @param {number} offset Added to the times of the event.
+     * @param {boolean} precise Whether to format the numbers with `Utils.formatFloat` instead of `Utils.numTo2f`.
+     */
+    export(offset = 0, precise = false) {
+        console.error(this);
+        throw new AffExportError("This event cannot be exported.");
+    }
+
+    /**
+     * Returns a plain object representing the event, with its kind in the `event` field.
+     */
+    toJSON() {
+        throw new AffExportError("This event cannot be exported.");
+    }
+
+    canBeRendered() {
+        return false;
+    }
+
+    /**
+     * Creates an event from the object returned by `toJSON`.
+     * @param {object} json
+     * @param {TimingGroup} timingGroup
+     * @returns {ArcaeaEvent}
+     */
+    static fromJSON(json, timingGroup) {
+        switch(json.event) {
+            case "tap":
+                return new TapNote(timingGroup, json.time, json.lane);
+            case "hold":
+                return new HoldNote(timingGroup, json.time, json.endTime, json.lane);
+            case "arc":
+                var arc = new Arc(
+                    timingGroup, json.time, json.endTime,
+                    json.start.x, json.end.x, json.lineType, json.start.y, json.end.y,
+                    json.color, json.isVoid, json.hitsound
+                );
+                (json.arcTaps || []).forEach(t => {
+                    arc.arcTaps.push(new ArctapNote(timingGroup, t, arc));
+                });
+                return arc;
+            case "timing":
+                return new TimingEvent(timingGroup, json.time, json.bpm, json.beatsPerLine);
+            case "camera":
+                return new CameraEvent(
+                    timingGroup, json.time,
+                    json.translation.x, json.translation.y, json.translation.z,
+                    json.rotation.x, json.rotation.y, json.rotation.z,
+                    json.type, json.duration
+                );
+            case "scenecontrol":
+                return new SceneControlEvent(timingGroup, json.time, json.type, json.params || []);
+            default:
+                throw new AffFormatError(`Unknown event type: ${json.event}.`);
+        }
+    }
+
+    /**
+     * 
+     * @param {string} line 
+     * @param {TimingGroup} timingGroup
+     * @returns {ArcaeaEvent}
+     */
+    static fromRaw(line, timingGroup, i) {
+        var index = line.indexOf("(");
+        if(index == -1) {
+            return null;
+        }
+
+        var type = line.substring(0, index);
+        switch(type) {
+            case "":
+                return TapNote.fromRaw(line, timingGroup);
+            case "hold":
+                return HoldNote.fromRaw(line, timingGroup);
+            case "arc":
+                return Arc.fromRaw(line, timingGroup);
+            case "timing":
+                return TimingEvent.fromRaw(line, timingGroup);
+            case "camera":
+                return CameraEvent.fromRaw(line, timingGroup);
+            case "scenecontrol":
+                return SceneControlEvent.fromRaw(line, timingGroup);
+            default:
+                throw new AffFormatError(`Unknown event type: ${type}.`, -1, 1);
+        }
+    }
+
+    /**
+     * Returns the 1-based column of a comma-separated field of an event line.
+     * @param {string} line The event line.
+     * @param {number} field The zero-based index of the field.
+     */
+    static fieldColumn(line, field) {
+        var index = line.indexOf("(");
+        for(var i=0; i<field; i++) {
+            var next = line.indexOf(",", index + 1);
+            if(next == -1) break;
+            index = next;
+        }
+        return index + 2;
+    }
+
+    /**
+     * Parses a numeric field of an event line. The whole field must be the number, so `12abc` or `1.5` for an integer are errors.
+     * @param {string} line The event line.
+     * @param {string} value The raw value of the field.
+     * @param {number} field The zero-based index of the field.
+     * @param {boolean} integer Whether the field must be an integer.
+     */
+    static parseField(line, value, field, integer = false) {
+        if(integer ? !/^-?\d+$/.test(value) : value.trim() == "" || !isFinite(Number(value))) {
+            var expected = integer ? "an integer" : "a number";
+            throw new AffFormatError(`Expected ${expected} but found "${value}".`, -1, ArcaeaEvent.fieldColumn(line, field));
+        }
+        return Number(value);
+    }
+
+    /**
+     * Parses the lane field of a tap or a hold, which must be between 0 to 5.
+     * @param {string} line The event line.
+     * @param {string} value The raw value of the field.
+     * @param {number} field The zero-based index of the field.
+     */
+    static parseLane(line, value, field) {
+        var lane = ArcaeaEvent.parseField(line, value, field, true);
+        if(lane < 0 || lane > 5) {
+            throw new AffFormatError(`Expected a lane between 0 to 5 but found ${lane}.`, -1, ArcaeaEvent.fieldColumn(line, field));
+        }
+        return lane;
+    }
+}
+
+class ArcaeaJudgableEvent extends ArcaeaEvent {
+    /**
+     * 
+     * @param {TimingGroup} timingGroup 
+     * @param {number} time 
+     */
+    constructor(timingGroup, time) {
+        super(timingGroup, time);
+
+        this.enabled = true;
+        this.judging = false;
+        this.judged = false;
+        this.position = 0;
+    }
+}
+
+class TapNote extends ArcaeaJudgableEvent {
+    /**
+     * @param {TimingGroup} timingGroup
+     * @param {number} time An integer represents the note time in milliseconds.
+     * @param {number} lane An integer between 0 to 5, represents the lane of the note. Lanes 0 and 5 are shown with `enwidenlanes`.
+     */
+    constructor(timingGroup, time, lane) {
+        super(timingGroup, time);
+
+        /** An integer between 0 to 5, represents the lane of the note. Lanes 0 and 5 are shown with `enwidenlanes`. */
+        this.lane = lane;
+    }
+
+    export(offset = 0) {
+        return `(${this.time + offset},${this.lane});`;
+    }
+
+    toJSON() {
+        return { event: "tap", time: this.time, lane: this.lane };
+    }
+
+    canBeRendered() {
+        return true;
+    }
+
+    /** 
+     * @param {string} line 
+     * @param {TimingGroup} timingGroup
+     */
+    static fromRaw(line, timingGroup) {
+        var result = line.match(/\((.*?),(.*?)\)/);
+        if(!result) {
+            throw new AffFormatError("Malformed tap note. Expected (time,lane);", -1, 1);
+        }
+        return new TapNote(
+            timingGroup,
+            ArcaeaEvent.parseField(line, result[1], 0, true),
+            ArcaeaEvent.parseLane(line, result[2], 1)
+        );
+    }
+}
+
+class HoldNote extends ArcaeaJudgableEvent {
+    /**
+     * @param {TimingGroup} timingGroup
+     * @param {number} time An integer represents the note time in milliseconds.
+     * @param {number} endTime An integer represents the end of the holding time in milliseconds.
+     * @param {number} lane An integer between 0 to 5, represents the lane of the note. Lanes 0 and 5 are shown with `enwidenlanes`.
+     */
+    constructor(timingGroup, time, endTime, lane) {
+        super(timingGroup, time);
+
+        /** An integer represents the end of the holding time in milliseconds. */
+        this.endTime = endTime;
+
+        /** An integer between 0 to 5, represents the lane of the note. Lanes 0 and 5 are shown with `enwidenlanes`. */
+        this.lane = lane;
+        this.audioPlayed = false;
+        this.shouldPlayAudio = false;
+
+        /** @type {number[]} */
+        this.judgeTimings = [];
+
+        /** Whether the head was hit or lost in manual play. */
+        this.headJudged = false;
+
+        /** The index of the next judge timing to be judged in manual play. */
+        this.tickIndex = 0;
+    }
+
+    export(offset = 0) {
+        return `hold(${this.time + offset},${this.endTime + offset},${this.lane});`;
+    }
+
+    toJSON() {
+        return { event: "hold", time: this.time, endTime: this.endTime, lane: this.lane };
+    }
+
+    canBeRendered() {
+        return true;
+    }
+
+    /**
+     * 
+     * @param {string} line 
+     * @param {TimingGroup} timingGroup
+     */
+    static fromRaw(line, timingGroup) {
+        var result = line.match(/hold\((.*?),(.*?),(.*?)\)/);
+        if(!result) {
+            throw new AffFormatError("Malformed hold note. Expected hold(time,endTime,lane);", -1, 1);
+        }
+        return new HoldNote(
+            timingGroup,
+            ArcaeaEvent.parseField(line, result[1], 0, true),
+            ArcaeaEvent.parseField(line, result[2], 1, true),
+            ArcaeaEvent.parseLane(line, result[3], 2)
+        );
+    }
+
+    /**
+     * Calculates the ticks of the hold, which count into the combo after its head.\
+     * Like `Arc.calculateJudgeTimings`, a hold shorter than two tick intervals has one tick at its middle.
+     * @param {number} densityFactor The `TimingPointDensityFactor` of the chart.
+     */
+    calculateJudgeTimings(densityFactor = 1) {
+        this.judgeTimings = [];
+        var u = 0;
+        var g = this.timingGroup;
+
+        var bpm = g.getBpmByTiming(this.time);
+        if(bpm <= 0) return;
+        var interval = 60000 / bpm / (bpm >= 255 ? 1 : 2) / densityFactor;
+        var total = Math.floor((this.endTime - this.time) / interval);
+
+        if((u ^ 1) >= total) {
+            this.judgeTimings.push(Math.floor(this.time + (this.endTime - this.time) * 0.5));
+            return;
+        }
+
+        var n = u ^ 1;
+        while(true) {
+            var t = Math.floor(this.time + n * interval);
+            if(t < this.endTime) {
+                this.judgeTimings.push(t);
+            }
+            if(total == ++n) break;
+        }
+    }
+}
+
+class Vector2 {
+    /**
+     * @param {number} x 
+     * @param {number} y 
+     */
+    constructor(x = 0, y = 0) {
+        this.x = x;
+        this.y = y;
+    }
+
+    toVector3(z = 0) {
+        return new Vector3(this.x, this.y, z);
+    }
+
+    /**
+     * @param {Vector2} a 
+     * @param {Vector2} b 
+     * @param {number} t 
+     * @param {ArcLineType} type 
+     */
+    static tween(a, b, t, type = "s") {
+        return new Vector2(
+            ArcAlgorithm.resolveX(a.x, b.x, t, type),
+            ArcAlgorithm.resolveY(a.y, b.y, t, type),
+        );
+    }
+}
+
+class Vector3 {
+    /**
+     * @param {number} x 
+     * @param {number} y 
+     * @param {number} z 
+     */
+    constructor(x = 0, y = 0, z = 0) {
+        this.x = x;
+        this.y = y;
+        this.z = z;
+    }
+
+    equals(v) {
+        if(!(v instanceof Vector3)) return false;
+        return (v.x == this.x && v.y == this.y && v.z == this.z);
+    }
+
+    /**
+     * 
+     * @param {Vector3} vector 
+     */
+    addToSelf(vector) {
+        this.x += vector.x;
+        this.y += vector.y;
+        this.z += vector.z;
+    }
+
+    /**
+     * 
+     * @param {Vector3} vector 
+     */
+    add(vector) {
+        var result = new Vector3(this.x, this.y, this.z);
+        result.x += vector.x;
+        result.y += vector.y;
+        result.z += vector.z;
+        return result;
+    }
+
+    /**
+     * 
+     * @param {number} n 
+     * @returns {Vector3}
+     */
+    times(n) {
+        return new Vector3(
+            this.x * n,
+            this.y * n,
+            this.z * n
+        );
+    }
+}
+
+class ArctapNote extends ArcaeaJudgableEvent {
+    /**
+     * @param {TimingGroup} timingGroup
+     * @param {number} time 
+     * @param {Arc} arc 
+     */
+    constructor(timingGroup, time, arc) {
+        super(timingGroup, time);
+        this.parent = arc;
+
+        /** The lines to the taps at the same time, attached by `ArcManager`. */
+        this.connections = [];
+    }
+
+    export(offset = 0) {
+        return `arctap(${this.time + offset});`;
+    }
+
+    canBeRendered() {
+        return true;
+    }
+}
+
+class Arc extends ArcaeaJudgableEvent {
+    /**
+     * @param {TimingGroup} timingGroup
+     * @param {number} time 
+     * @param {number} endTime 
+     * @param {number} xStart 
+     * @param {number} xEnd 
+     * @param {ArcLineType} lineType 
+     * @param {number} yStart 
+     * @param {number} yEnd 
+     * @param {ArcLineColor} color 
+     * @param {boolean} isVoid 
+     * @param {string} hitsound The custom hitsound of the arctaps, like `glass_wav`, or `none`.
+     */
+    constructor(timingGroup, time, endTime, xStart, xEnd, lineType, yStart, yEnd, color, isVoid, hitsound = "none") {
+        super(timingGroup, time);
+
+        this.endTime = endTime;
+        this.start = new Vector2(xStart, yStart);
+        this.end = new Vector2(xEnd, yEnd);
+        this.lineType = lineType;
+        this.color = color;
+        this.isVoid = isVoid;
+        this.hitsound = hitsound;
+
+        /** @type {ArctapNote[]} */
+        this.arcTaps = [];
+
+        /** @type {Arc[]} */
+        this.arcGroup = [];
+
+        /** @type {number[]} */
+        this.judgeTimings = [];
+
+        this.endPosition = 0;
+        this.renderHead = true;
+        this.flag = false;
+        this.flashCount = 0;
+        this.audioPlayed = false;
+        this.shouldPlayAudio = false;
+
+        /** The index of the next judge timing to be judged in manual play. */
+        this.tickIndex = 0;
+
+        /** Whether a finger locked to another color is on the arc in manual play. */
+        this.wrongColor = false;
+
+        /** Attached by `ArcManager`. */
+        this.arcRenderer = null;
+    }
+
+    /**
+     * Gets the position of the arc at a time in Arcaea space. The time is clamped into the arc.
+     * @param {number} time 
+     */
+    getPositionAt(time) {
+        var duration = this.endTime - this.time;
+        var p = duration == 0 ? 0 : Utils.clamp((time - this.time) / duration, 0, 1);
+        return new Vector2(
+            ArcAlgorithm.resolveX(this.start.x, this.end.x, p, this.lineType),
+            ArcAlgorithm.resolveY(this.start.y, this.end.y, p, this.lineType)
+        );
+    }
+
+    /**
+     * Returns the file name of the custom hitsound, like `glass.wav` for `glass_wav`, or `null` if there is none.
+     */
+    getHitsoundFile() {
+        if(!this.hitsound || this.hitsound == "none") return null;
+        return this.hitsound.replace(/_wav$/, ".wav");
+    }
+
+    export(offset = 0, precise = false) {
+        var f = precise ? Utils.formatFloat : Utils.numTo2f;
+        var line = `arc(${this.time + offset},${this.endTime + offset},${f(this.start.x)},${f(this.end.x)}`
+            + `,${this.lineType},${f(this.start.y)},${f(this.end.y)},${this.color},${this.hitsound},${this.isVoid})`;
+
+        if(this.arcTaps.length == 0) {
+            return line + ";";
+        }
+        return line + "[" + this.arcTaps.map(t => {
+            var l = t.export(offset);
+            return l.substring(l, l.length - 1);
+        }).join(",") + "];";
+    }
+
+    toJSON() {
+        return {
+            event: "arc",
+            time: this.time,
+            endTime: this.endTime,
+            start: { x: this.start.x, y: this.start.y },
+            end: { x: this.end.x, y: this.end.y },
+            lineType: this.lineType,
+            color: this.color,
+            hitsound: this.hitsound,
+            isVoid: this.isVoid,
+            arcTaps: this.arcTaps.map(t => t.time)
+        };
+    }
+
+    canBeRendered() {
+        return true;
+    }
+
+    /**
+     * @param {string} line 
+     * @param {TimingGroup} timingGroup
+     */
+    static fromRaw(line, timingGroup) {
+        if(!line.startsWith("arc")) {
+            throw new AffFormatError("The given data doesn't represent an arc.");
+        }
+        var regex = /arc\((-?\d+?),(-?\d+?),(.*?),(.*?),(.*?),(.*?),(.*?),(.*?),(.*?),(.*?)\)(?:\[(.*?)\])?;/;
+        var event = line.match(regex);
+        if(!event) {
+            throw new AffFormatError("Malformed arc. Expected arc(time,endTime,xStart,xEnd,lineType,yStart,yEnd,color,hitsound,isVoid);", -1, 1);
+        }
+
+        if(Arc.lineTypes.indexOf(event[5]) == -1) {
+            throw new AffFormatError(`Unknown arc line type: ${event[5]}.`, -1, ArcaeaEvent.fieldColumn(line, 4));
+        }
+        if(event[10] != "true" && event[10] != "false") {
+            throw new AffFormatError(`Expected true or false but found "${event[10]}".`, -1, ArcaeaEvent.fieldColumn(line, 9));
+        }
+
+        var arc = new Arc(
+            timingGroup,
+            ArcaeaEvent.parseField(line, event[1], 0, true),    // time
+            ArcaeaEvent.parseField(line, event[2], 1, true),    // endTime
+            ArcaeaEvent.parseField(line, event[3], 2),          // xStart
+            ArcaeaEvent.parseField(line, event[4], 3),          // xEnd
+            event[5],                                           // lineType
+            ArcaeaEvent.parseField(line, event[6], 5),          // yStart
+            ArcaeaEvent.parseField(line, event[7], 6),          // yEnd
+            ArcaeaEvent.parseField(line, event[8], 7, true),    // color
+            event[10] == "true",                                // isVoid
+            event[9]                                            // hitsound
+        );
+
+        var arctaps = event[11];
+        if(arctaps) {
+            var column = line.indexOf("[") + 2;
+            var t = arctaps.split(",");
+            t.forEach(n => {
+                var result = n.match(/^arctap\((-?\d+)\)$/);
+                if(!result) {
+                    throw new AffFormatError(`Malformed arctap: ${n}.`, -1, column);
+                }
+                arc.arcTaps.push(new ArctapNote(
+                    timingGroup, parseInt(result[1]), arc
+                ));
+                column += n.length + 1;
+            });
+        }
+
+        return arc;
+    }
+
+    /**
+     * Links the arcs which continue each other into arc groups, and hides the heads of the continuing arcs.
+     * @param {Arc[]} arcs 
+     */
+    static calculateArcRelationship(arcs) {
+        arcs.forEach(a => {
+            a.arcGroup = null;
+            a.renderHead = true;
+        });
+
+        arcs.forEach(a => {
+            arcs.forEach(b => {
+                if(a == b) return;
+                if(Math.abs(a.end.x - b.start.x) < 0.1 && Math.abs(a.endTime - b.time) <= 9 && a.end.y == b.start.y) {
+                    if(a.color == b.color && a.isVoid == b.isVoid && a.timingGroup == b.timingGroup) {
+                        if(a.arcGroup == null && b.arcGroup != null) {
+                            a.arcGroup = b.arcGroup;
+                        } else if(a.arcGroup != null && b.arcGroup == null) {
+                            b.arcGroup = a.arcGroup;
+                        } else if(a.arcGroup != null && b.arcGroup != null) {
+                            b.arcGroup.forEach(t => {
+                                if(a.arcGroup.indexOf(t) == -1) {
+                                    a.arcGroup.push(t);
+                                }
+                            });
+                            b.arcGroup = a.arcGroup;
+                        } else if(a.arcGroup == null && b.arcGroup == null) {
+                            a.arcGroup = b.arcGroup = [a];
+                        }
+
+                        if(a.arcGroup.indexOf(b) == -1) {
+                            a.arcGroup.push(b);
+                        }
+                    }
+
+                    if(a.isVoid == b.isVoid) {
+                        b.renderHead = false;
+                    }
+                }
+            });
+        });
+
+        arcs.forEach(a => {
+            if(a.arcGroup == null) {
+                a.arcGroup = [a];
+            }
+            a.arcGroup.sort((a, b) => {
+                return a.time - b.time;
+            });
+        });
+    }
+
+    /**
+     * @param {number} densityFactor The `TimingPointDensityFactor` of the chart.
+     */
+    calculateJudgeTimings(densityFactor = 1) {
+        this.judgeTimings = [];
+        if(this.isVoid) return;
+        if(this.endTime == this.time) return;
+
+        var u = this.renderHead ? 0 : 1;
+        var g = this.timingGroup;
+        var bpm = g.getBpmByTiming(this.time);
+        if(bpm <= 0) return;
+
+        var interval = 60000 / bpm / (bpm >= 255 ? 1 : 2) / densityFactor;
+        var total = Math.floor((this.endTime - this.time) / interval);
+        if((u ^ 1) >= total) {
+            this.judgeTimings.push(Math.floor(this.time + (this.endTime - this.time) * 0.5));
+            return;
+        }
+
+        var n = u ^ 1;
+        while(true) {
+            var t = Math.floor(this.time + n * interval);
+            if(t < this.endTime) {
+                this.judgeTimings.push(t);
+            }
+            if(total == ++n) break;
+        }
+    }
+
+}
+
+/** @type {ArcLineType[]} */
+Arc.lineTypes = ["s", "si", "sisi", "siso", "so", "sosi", "soso", "b"];
+
+class TimingEvent extends ArcaeaEvent {
+    /**
+     * @param {TimingGroup} timingGroup
+     * @param {number} time 
+     * @param {number} bpm 
+     * @param {number} beatsPerLine 
+     */
+    constructor(timingGroup, time, bpm, beatsPerLine) {
+        super(timingGroup, time);
+        this.bpm = bpm;
+        this.beatsPerLine = beatsPerLine;
+    }
+
+    /**
+     * @param {string} line 
+     * @param {TimingGroup} timingGroup
+     */
+    static fromRaw(line, timingGroup) {
+        var result = line.match(/timing\((.*?),(.*?),(.*?)\)/);
+        if(!result) {
+            throw new AffFormatError("Malformed timing event. Expected timing(time,bpm,beatsPerLine);", -1, 1);
+        }
+        return new TimingEvent(
+            timingGroup,
+            ArcaeaEvent.parseField(line, result[1], 0, true),
+            ArcaeaEvent.parseField(line, result[2], 1),
+            ArcaeaEvent.parseField(line, result[3], 2)
+        );
+    }
+
+    export(offset = 0, precise = false) {
+        var f = precise ? Utils.formatFloat : Utils.numTo2f;
+        return `timing(${this.time + offset},${f(this.bpm)},${f(this.beatsPerLine)});`;
+    }
+
+    toJSON() {
+        return { event: "timing", time: this.time, bpm: this.bpm, beatsPerLine: this.beatsPerLine };
+    }
+}
+
+class CameraEvent extends ArcaeaEvent {
+    /**
+     * @param {TimingGroup} timingGroup
+     * @param {number} time 
+     * @param {number} tx 
+     * @param {number} ty 
+     * @param {number} tz 
+     * @param {number} rx 
+     * @param {number} ry 
+     * @param {number} rz 
+     * @param {ArcCameraType} type 
+     * @param {number} duration 
+     */
+    constructor(timingGroup, time, tx, ty, tz, rx, ry, rz, type, duration) {
+        super(timingGroup, time);
+
+        this.translation = new Vector3(tx, ty, tz);
+        this.rotation = new Vector3(rx, ry, rz);
+        this.type = type;
+        this.duration = duration;
+
+        this.percent = 0;
+    }
+
+    /**
+     * 
+     * @param {number} timing 
+     */
+    update(timing) {
+        if(timing > this.time + this.duration) {
+            this.percent = 1;
+            return;
+        }
+        if(timing < this.time) {
+            this.percent = 0;
+            return;
+        }
+
+        this.percent = Utils.clamp((timing - this.time) / this.duration, 0, 1);
+        switch(this.type) {
+            case "qi":
+                this.percent = ArcAlgorithm.qi(this.percent);
+                break;
+            case "qo":
+                this.percent = ArcAlgorithm.qo(this.percent);
+                break;
+            case "s":
+                this.percent = ArcAlgorithm.s(0, 1, this.percent);
+                break;
+        }
+    }
+
+    /**
+     * @param {string} line 
+     * @param {TimingGroup} timingGroup
+     */
+    static fromRaw(line, timingGroup) {
+        var result = line.match(/camera\((.*?),(.*?),(.*?),(.*?),(.*?),(.*?),(.*?),(.*?),(.*?)\)/);
+        if(!result) {
+            throw new AffFormatError("Malformed camera event. Expected camera(time,tx,ty,tz,rx,ry,rz,type,duration);", -1, 1);
+        }
+
+        var f = (n, integer) => ArcaeaEvent.parseField(line, result[n + 1], n, integer);
+        return new CameraEvent(
+            timingGroup,
+            f(0, true),
+            f(1), f(2), f(3),
+            f(4), f(5), f(6),
+            result[8], f(8, true),
+        );
+    }
+
+    export(offset = 0, precise = false) {
+        var tx = this.translation.x;
+        var ty = this.translation.y;
+        var tz = this.translation.z;
+        var rx = this.rotation.x;
+        var ry = this.rotation.y;
+        var rz = this.rotation.z;
+
+        var values = [tx, ty, tz, rx, ry, rz].map(n => precise ? Utils.formatFloat(n) : n);
+        return `camera(${this.time + offset},${values.join(",")},${this.type},${this.duration});`;
+    }
+
+    toJSON() {
+        var t = this.translation;
+        var r = this.rotation;
+        return {
+            event: "camera",
+            time: this.time,
+            translation: { x: t.x, y: t.y, z: t.z },
+            rotation: { x: r.x, y: r.y, z: r.z },
+            type: this.type,
+            duration: this.duration
+        };
+    }
+}
+
+/**
+ * A `scenecontrol(time,type,...params);` event.
+ * 
+ * | Type | Parameters |
+ * |------|------------|
+ * | `trackhide`, `trackshow` | None. |
+ * | `redline` | Duration in seconds. |
+ * | `arcahvdistort`, `arcahvdebris` | Duration in seconds, intensity. |
+ * | `hidegroup` | Unused, 1 to hide the timing group of the event and 0 to show it. |
+ * | `enwidencamera`, `enwidenlanes` | Transition duration in milliseconds, 1 to enable and 0 to disable. |
+ * 
+ * Other types are kept for exporting but have no effect.
+ */
+class SceneControlEvent extends ArcaeaEvent {
+    /**
+     * @param {TimingGroup} timingGroup
+     * @param {number} time 
+     * @param {SceneControlType} type 
+     * @param {number[]} params 
+     */
+    constructor(timingGroup, time, type, params = []) {
+        super(timingGroup, time);
+        this.type = type;
+        this.params = params;
+    }
+
+    /**
+     * The duration of the event in milliseconds.
+     */
+    getDuration() {
+        var duration = this.params[0] || 0;
+        switch(this.type) {
+            case "redline":
+            case "arcahvdistort":
+            case "arcahvdebris":
+                return duration * 1000;
+            default:
+                return duration;
+        }
+    }
+
+    /**
+     * The second parameter of the event, like the toggle of `enwidencamera` or the intensity of `arcahvdistort`.
+     */
+    getValue() {
+        return this.params.length > 1 ? this.params[1] : 0;
+    }
+
+    /**
+     * @param {string} line 
+     * @param {TimingGroup} timingGroup
+     */
+    static fromRaw(line, timingGroup) {
+        var result = line.match(/scenecontrol\((.*?)\)/);
+        if(!result) {
+            throw new AffFormatError("Malformed scenecontrol event. Expected scenecontrol(time,type,...params);", -1, 1);
+        }
+
+        var fields = result[1].split(",");
+        if(fields.length < 2) {
+            throw new AffFormatError("Missing scenecontrol type.", -1, ArcaeaEvent.fieldColumn(line, 1));
+        }
+
+        return new SceneControlEvent(
+            timingGroup,
+            ArcaeaEvent.parseField(line, fields[0], 0, true),
+            fields[1].trim(),
+            fields.slice(2).map((f, i) => ArcaeaEvent.parseField(line, f, i + 2))
+        );
+    }
+
+    export(offset = 0, precise = false) {
+        var params = this.params.map((p, i) => i == 0 ? (precise ? Utils.formatFloat : Utils.numTo2f)(p) : p);
+        return `scenecontrol(${this.time + offset},${[this.type].concat(params).join(",")});`;
+    }
+
+    toJSON() {
+        return { event: "scenecontrol", time: this.time, type: this.type, params: this.params.slice() };
+    }
+}
+
+class ChartValidator {
+    /**
+     * @param {Object<string, boolean>} rules Rules to enable or disable by name. All rules are enabled by default.
+     */
+    constructor(rules = {}) {
+        /** @type {Object<string, boolean>} */
+        this.enabled = {};
+        Object.keys(ChartValidator.rules).forEach(name => {
+            this.enabled[name] = rules[name] !== false;
+        });
+    }
+
+    /**
+     * @param {string} name 
+     * @param {boolean} enabled 
+     */
+    setEnabled(name, enabled) {
+        if(!ChartValidator.rules[name]) {
+            throw new Error(`Unknown rule: ${name}.`);
+        }
+        this.enabled[name] = enabled;
+    }
+
+    /**
+     * Runs the enabled rules over a chart.
+     * @param {Chart} chart 
+     * @returns {ChartFinding[]} The findings, sorted by line.
+     */
+    validate(chart) {
+        var lines = chart.getLineNumbers();
+        /** @type {ChartFinding[]} */
+        var findings = [];
+
+        Object.keys(ChartValidator.rules).forEach(name => {
+            if(!this.enabled[name]) return;
+
+            var rule = ChartValidator.rules[name];
+            rule.check(chart, (event, message) => {
+                findings.push({
+                    rule: name,
+                    severity: rule.severity,
+                    message,
+                    event,
+                    line: lines.has(event) ? lines.get(event) : -1
+                });
+            });
+        });
+
+        return findings.sort((a, b) => a.line - b.line);
+    }
+}
+
+/**
+ * @type {Object<string, {
+ *  severity: ChartFindingSeverity,
+ *  check: (chart: Chart, report: (event: ArcaeaEvent | TimingGroup, message: string) => void) => void
+ * }>}
+ */
+ChartValidator.rules = {
+    "overlapping-notes": {
+        severity: "error",
+        check: (chart, report) => {
+            chart.timingGroups.forEach(g => {
+                /** @type {(TapNote | HoldNote)[]} */
+                var notes = g.events.filter(e => e instanceof TapNote || e instanceof HoldNote);
+                notes.sort((a, b) => a.time - b.time);
+
+                notes.forEach((a, i) => {
+                    var aEnd = a instanceof HoldNote ? a.endTime : a.time;
+                    for(var j=i+1; j<notes.length; j++) {
+                        var b = notes[j];
+                        if(b.time > aEnd) break;
+                        if(a.lane != b.lane) continue;
+                        if(a instanceof HoldNote && b.time == aEnd) continue;
+
+                        var what = a instanceof HoldNote ? `the hold note at ${a.time}-${a.endTime}` : `the tap note at ${a.time}`;
+                        report(b, `${b instanceof HoldNote ? "Hold" : "Tap"} note at ${b.time} overlaps ${what} on lane ${b.lane}.`);
+                    }
+                });
+            });
+        }
+    },
+
+    "hold-length": {
+        severity: "error",
+        check: (chart, report) => {
+            chart.holds().forEach(h => {
+                if(h.endTime <= h.time) {
+                    report(h, `Hold note at ${h.time} has a length of ${h.endTime - h.time}ms.`);
+                }
+            });
+        }
+    },
+
+    "arc-range": {
+        severity: "warning",
+        check: (chart, report) => {
+            chart.arcs().forEach(a => {
+                var inRange = [a.start, a.end].every(v => {
+                    return v.x >= -0.5 && v.x <= 1.5 && v.y >= 0 && v.y <= 1;
+                });
+                if(!inRange) {
+                    report(a, `Arc at ${a.time} leaves the playable range (x: -0.5 to 1.5, y: 0 to 1).`);
+                }
+            });
+        }
+    },
+
+    "arctap-range": {
+        severity: "error",
+        check: (chart, report) => {
+            chart.arcs().forEach(a => {
+                a.arcTaps.forEach(t => {
+                    if(t.time < a.time || t.time > a.endTime) {
+                        report(t, `Arctap at ${t.time} is outside of its arc (${a.time}-${a.endTime}).`);
+                    }
+                });
+            });
+        }
+    },
+
+    "arctap-on-solid-arc": {
+        severity: "error",
+        check: (chart, report) => {
+            chart.arcs().forEach(a => {
+                if(a.isVoid) return;
+                a.arcTaps.forEach(t => {
+                    report(t, `Arctap at ${t.time} is placed on a non-void arc.`);
+                });
+            });
+        }
+    },
+
+    "group-without-timing": {
+        severity: "error",
+        check: (chart, report) => {
+            chart.timingGroups.forEach((g, i) => {
+                if(!g.events.some(e => e instanceof TimingEvent)) {
+                    report(g, g.isPrimary ? "The chart has no timing event." : `Timing group #${i} has no timing event.`);
+                }
+            });
+        }
+    },
+
+    "note-before-timing": {
+        severity: "warning",
+        check: (chart, report) => {
+            chart.timingGroups.forEach(g => {
+                var timings = g.events.filter(e => e instanceof TimingEvent);
+                if(timings.length == 0) return;
+
+                var first = Math.min.apply(null, timings.map(t => t.time));
+                g.events.forEach(e => {
+                    if(e instanceof ArcaeaJudgableEvent && e.time < first) {
+                        report(e, `Note at ${e.time} is before the first timing event at ${first}.`);
+                    }
+                });
+            });
+        }
+    }
+};
+
+/**
+ * Guesses the level of a chart from what makes it hard to play. The rating is only a heuristic,
+ * roughly on the scale of the official levels, and the weights can be tuned.
+ */
+class DifficultyEstimator {
+    /**
+     * @param {Partial<DifficultyFactors>} weights Weights to override by factor name.
+     */
+    constructor(weights = {}) {
+        /** @type {DifficultyFactors} */
+        this.weights = Object.assign({}, DifficultyEstimator.weights, weights);
+    }
+
+    /**
+     * @param {Chart} chart 
+     * @returns {DifficultyEstimate}
+     */
+    estimate(chart) {
+        // Links the arcs, so only the heads of arc groups are counted as notes.
+        chart.calculateJudgeTimings();
+
+        var groups = chart.timingGroups.filter(g => !g.noInput);
+        var events = [];
+        groups.forEach(g => events.push.apply(events, g.events));
+
+        /** @type {DifficultyFactors} */
+        var factors = {
+            density: DifficultyEstimator.getDensity(events),
+            laneJumps: DifficultyEstimator.getLaneJumps(events),
+            arcSpeed: DifficultyEstimator.getArcSpeed(events),
+            dualArcs: DifficultyEstimator.getDualArcs(events, chart.getLength()),
+            holdOverlap: DifficultyEstimator.getHoldOverlap(events)
+        };
+
+        var rating = DifficultyEstimator.baseRating;
+        Object.keys(factors).forEach(name => {
+            rating += factors[name] * this.weights[name];
+        });
+
+        return {
+            rating: Math.round(Utils.clamp(rating, 1, 12) * 10) / 10,
+            factors
+        };
+    }
+
+    /**
+     * The notes per second of the busy sections, the 90th percentile of the seconds with notes.\
+     * Unlike the combo, the ticks of holds and arcs are not counted.
+     * @param {ArcaeaEvent[]} events 
+     */
+    static getDensity(events) {
+        var seconds = new Map();
+        var count = time => {
+            var s = Math.floor(time / 1000);
+            seconds.set(s, (seconds.get(s) || 0) + 1);
+        };
+
+        events.forEach(e => {
+            if(e instanceof TapNote || e instanceof HoldNote) {
+                count(e.time);
+            } else if(e instanceof Arc) {
+                if(e.isVoid) {
+                    e.arcTaps.forEach(t => count(t.time));
+                } else if(e.arcGroup[0] == e) {
+                    count(e.time);
+                }
+            }
+        });
+        return DifficultyEstimator.percentile(Array.from(seconds.values()), 0.9);
+    }
+
+    /**
+     * The average lanes per second the hands move between consecutive taps and hold heads.
+     * Chords and notes more than a second apart are skipped.
+     * @param {ArcaeaEvent[]} events 
+     */
+    static getLaneJumps(events) {
+        /** @type {(TapNote | HoldNote)[]} */
+        var notes = events.filter(e => e instanceof TapNote || e instanceof HoldNote);
+        notes.sort((a, b) => a.time - b.time);
+
+        var speeds = [];
+        for(var i=1; i<notes.length; i++) {
+            var dt = notes[i].time - notes[i - 1].time;
+            if(dt <= 0 || dt > 1000) continue;
+            speeds.push(Math.abs(notes[i].lane - notes[i - 1].lane) * 1000 / dt);
+        }
+        return speeds.length ? speeds.reduce((a, b) => a + b, 0) / speeds.length : 0;
+    }
+
+    /**
+     * The average speed of the arcs in world units per second, weighted by their durations.
+     * @param {ArcaeaEvent[]} events 
+     */
+    static getArcSpeed(events) {
+        /** @type {Arc[]} */
+        var arcs = events.filter(e => e instanceof Arc && !e.isVoid && e.endTime > e.time);
+
+        var distance = 0;
+        var duration = 0;
+        arcs.forEach(a => {
+            var samples = 16;
+            var last = null;
+            for(var i=0; i<=samples; i++) {
+                var t = i / samples;
+                var x = ArcAlgorithm.arcXToWorld(ArcAlgorithm.resolveX(a.start.x, a.end.x, t, a.lineType));
+                var y = ArcAlgorithm.arcYToWorld(ArcAlgorithm.resolveY(a.start.y, a.end.y, t, a.lineType));
+                if(last) {
+                    distance += Math.hypot(x - last.x, y - last.y);
+                }
+                last = { x, y };
+            }
+            duration += a.endTime - a.time;
+        });
+        return duration > 0 ? distance * 1000 / duration : 0;
+    }
+
+    /**
+     * The fraction of the chart where arcs of both colors have to be followed at the same time.
+     * @param {ArcaeaEvent[]} events 
+     * @param {number} length 
+     */
+    static getDualArcs(events, length) {
+        /** @type {Arc[]} */
+        var arcs = events.filter(e => e instanceof Arc && !e.isVoid && e.endTime > e.time);
+        var blue = DifficultyEstimator.mergeRanges(arcs.filter(a => a.color == 0));
+        var red = DifficultyEstimator.mergeRanges(arcs.filter(a => a.color == 1));
+
+        var overlap = 0;
+        blue.forEach(b => {
+            red.forEach(r => {
+                overlap += Math.max(0, Math.min(b.end, r.end) - Math.max(b.start, r.start));
+            });
+        });
+        return length > 0 ? overlap / length : 0;
+    }
+
+    /**
+     * The fraction of the hold time where another hold is held too.
+     * @param {ArcaeaEvent[]} events 
+     */
+    static getHoldOverlap(events) {
+        /** @type {HoldNote[]} */
+        var holds = events.filter(e => e instanceof HoldNote && e.endTime > e.time);
+
+        var total = 0;
+        var overlap = 0;
+        holds.forEach(a => {
+            total += a.endTime - a.time;
+            var others = DifficultyEstimator.mergeRanges(holds.filter(b => b != a));
+            others.forEach(r => {
+                overlap += Math.max(0, Math.min(a.endTime, r.end) - Math.max(a.time, r.start));
+            });
+        });
+        return total > 0 ? overlap / total : 0;
+    }
+
+    /**
+     * Merges the time ranges of holds or arcs into disjoint ranges.
+     * @param {(HoldNote | Arc)[]} events 
+     * @returns {{ start: number, end: number }[]}
+     */
+    static mergeRanges(events) {
+        var ranges = events.map(e => ({ start: e.time, end: e.endTime }));
+        ranges.sort((a, b) => a.start - b.start);
+
+        var result = [];
+        ranges.forEach(r => {
+            var last = result[result.length - 1];
+            if(last && r.start <= last.end) {
+                last.end = Math.max(last.end, r.end);
+            } else {
+                result.push(r);
+            }
+        });
+        return result;
+    }
+
+    /**
+     * @param {number[]} values 
+     * @param {number} p Between 0 and 1.
+     */
+    static percentile(values, p) {
+        if(values.length == 0) return 0;
+        var sorted = values.slice().sort((a, b) => a - b);
+        return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+    }
+}
+
+/** The rating of a chart without any notes. */
+DifficultyEstimator.baseRating = 1;
+
+/**
+ * How much each factor adds to the rating.
+ * @type {DifficultyFactors}
+ */
+DifficultyEstimator.weights = {
+    density: 0.7,
+    laneJumps: 0.3,
+    arcSpeed: 0.1,
+    dualArcs: 2,
+    holdOverlap: 1.5
+};
+
+if(typeof module != "undefined" && module.exports) {
+    module.exports = {
+        ArcAlgorithm, Utils, Chart, AffFormatError, AffExportError, TimingGroup,
+        ArcaeaEvent, ArcaeaJudgableEvent, TapNote, HoldNote, ArctapNote, Arc,
+        TimingEvent, CameraEvent, SceneControlEvent, Vector2, Vector3, ChartValidator,
+        DifficultyEstimator
+    };
+}
@@ -2,9 +2,6 @@
 // Thanks to Arcade project by Schwarzer, I can make this viewer possible.
 // Source: https://gitee.com/Schwarzer/Arcade/
 /**
- * @typedef {"qi" | "qo" | "l" | "s" | "reset"} ArcCameraType
- * @typedef {"s" | "si" | "sisi" | "siso" | "so" | "sosi" | "soso" | "b"} ArcLineType
- * @typedef {0 | 1 | 2} ArcLineColor
  * @typedef {{
  *  x: number, y: number
  * }} TVector2
@@ -18,6 +15,7 @@
  *  remove: (obj: TObject3D) => void
  * }} TObject3D
  * @typedef {any} TColor
+ * @typedef {any} TTexture
  * @typedef {any} TPlane
  * @typedef {any} TFace3
  * @typedef {{}} TMaterial
@@ -36,2447 +34,2141 @@
  *  material: TMaterial,
  *  geometry: TGeometry
  * } & TObject3D} TMesh
+ * @typedef {{
+ *  attributes: Object<string, any>,
+ *  setAttribute: (name: string, attribute: any) => void,
+ *  dispose: () => void
+ * }} TBufferGeometry
+ * @typedef {{
+ *  count: number,
+ *  instanceMatrix: { array: Float32Array, needsUpdate: boolean },
+ *  setMatrixAt: (index: number, matrix: any) => void
+ * } & TMesh} TInstancedMesh
+ * @typedef {{
+ *  id: number,
+ *  lane: number,
+ *  sky: boolean,
+ *  position: Vector2 | null,
+ *  arc: Arc | null
+ * }} InputPointer A finger or the mouse on the game area, raycast by `InputManager`.\
+ * `position` is on the judge plane in world space, `lane` is -1 when it isn't on the track.
+ * @typedef {"maxPure" | "pure" | "far" | "lost"} JudgementType
+ * @typedef {"trackLost" | "trackComplete" | "fullRecall" | "pureMemory"} ClearType
  */
 
-var ArcAlgorithm = {
-    /**
-     * Converts the X value from Arcaea space to world space.
-     * @param {number} x
-     */
-    arcXToWorld: (x) => {
-        return -8.5 * x + 4.25;
-    },
-
+class ArcRenderer {
     /**
-     * Converts the Y value from Arcaea space to world space.
-     * @param {number} y
+     * 
+     * @param {Arc} arc 
      */
-    arcYToWorld: (y) => {
-        return 1 + 4.5 * y;
-    },
+    constructor(arc) {
+        this.arc = arc;
 
-    /**
-     * Converts the X value from world space to Arcaea space.
-     * @param {number} x
-     */
-    worldXToArc: (x) => {
-        return (x - 4.25) / -8.5;
-    },
-    /**
-     * Converts the Y value from world space to Arcaea space.
-     * @param {number} y
-     */
-    worldYToArc: (y) => {
-        return (y - 1) / 4.5;
-    },
+        /**
+         * The points between the segments of the arc, relative to its head.
+         * @type {Vector3[]}
+         */
+        this.points = [];
+        this.enableHeightIndicator = true;
 
-    /**
-     * Apply linear interpolation with a range and a progress.
-     * @param {number} a The start value.
-     * @param {number} b The end value.
-     * @param {number} t The progress.
-     */
-    s: (a, b, t) => {
-        return (1 - t) * a + b * t;
-    },
+        /** @type {TObject3D} */
+        this.heightIndicator = new THREE.Object3D();
+        this.segCount = 0;
+        this.color = new THREE.Color(0, 0, 0);
 
-    /**
-     * Apply cosine interpolation with a range and a progress.
-     * @param {number} a The start value.
-     * @param {number} b The end value.
-     * @param {number} t The progress.
-     */
-    o: (a, b, t) => {
-        return a + (b - a) * (1 - Math.cos(1.5707963 * t));
-    },
+        this.enableEffect = false;
+        this.enableArcCap = false;
+        this.highlight = false;
 
-    /**
-     * Apply sine interpolation with a range and a progress.
-     * @param {number} a The start value.
-     * @param {number} b The end value.
-     * @param {number} t The progress.
-     */
-    i: (a, b, t) => {
-        return a + (b - a) * Math.sin(1.5707963 * t);
-    },
+        /** Whether the arc is drawn red, for a finger locked to another color. */
+        this.flashRed = false;
 
-    /**
-     * Apply cubic interpolation with a range and a progress.\
-     * Returns `ap^3 + 3tap^2 + 3pbt^2 + bt^3 (p=1-t)`.
-     * @param {number} a The start value.
-     * @param {number} b The end value.
-     * @param {number} t The progress.
-     */
-    b: (a, b, t) => {
-        var o = 1 - t;
-        return Math.pow(o, 3) * a + 3 * Math.pow(o, 2) * t * a + 3 * o * Math.pow(t, 2) * b + Math.pow(t, 3) * b;
-    },
+        this.arcCap = null;
+        this.head = null;
 
-    /**
-     * @param {number} a
-     * @param {number} b
-     * @param {number} t
-     * @param {ArcLineType} type
-     */
-    resolveX: (a, b, t, type) => {
-        switch(type) {
-            default:
-            case "s":
-                return ArcAlgorithm.s(a, b, t);
-            case "b":
-                return ArcAlgorithm.b(a, b, t);
-            case "si":
-            case "sisi":
-            case "siso":
-                return ArcAlgorithm.i(a, b ,t);
-            case "so":
-            case "sosi":
-            case "soso":
-                return ArcAlgorithm.o(a, b, t);
-        }
-    },
+        /**
+         * The merged segments of the arc.
+         * @type {TMesh}
+         */
+        this.body = null;
+        /** @type {TMesh} */
+        this.shadow = null;
 
-    /**
-     * @param {number} a
-     * @param {number} b
-     * @param {number} t
-     * @param {ArcLineType} type
-     */
-    resolveY: (a, b, t, type) => {
-        switch(type) {
-            default:
-            case "s":
-            case "si":
-            case "so":
-                return ArcAlgorithm.s(a, b, t);
-            case "b":
-                return ArcAlgorithm.b(a, b, t);
-            case "sisi":
-            case "sosi":
-                return ArcAlgorithm.i(a, b ,t);
-            case "siso":
-            case "soso":
-                return ArcAlgorithm.o(a, b, t);
-        }
-    },
+        /** The opacity of the body, changed by `ArcManager` when the arc is highlighted. */
+        this.alpha = 0;
 
-    /**
-     * @param {number} v
-     */
-    qi: (v) => {
-        return Math.pow(v, 3);
-    },
-    /**
-     * @param {number} v
-     */
-    qo: (v) => {
-        return Math.pow(--v, 3) + 1;
+        /** Whether the shaders cut the arc off at the judge line. Shared by the body and the shadow. */
+        this.judgeCutoff = { value: 0 };
     }
-}
 
-var Utils = {
     /**
-     * @param {number} t
-     * @param {number} a
-     * @param {number} b
+     * 
+     * @param {Arc} arc 
      */
-    clamp: (t, a, b) => {
-        return Math.max(a, Math.min(b, t));
-    },
+    setArc(arc) {
+        this.arc = arc;
+        this.build();
+    }
 
-    /**
-     * @param {number} num
-     */
-    numTo2f: (num) => {
-        var d = (Math.abs(num) == 1 || Math.abs(num) == 0) ? 1 : Math.ceil(
-            Math.log10(Math.abs(num)) + 0.00001
-        );
-        return num.toPrecision(2 + d);
-    },
-    
-    lerp: (a, b, t) => {
-        return a + (b - a) * Utils.clamp(t, 0, 1);
+    destroy() {
+        if(this.body) this.body.geometry.dispose();
+        if(this.shadow) this.shadow.geometry.dispose();
+        this.body = null;
+        this.shadow = null;
     }
-}
 
-class Chart {
-    constructor() {
-        /** @type {TimingGroup[]} */
-        this.timingGroups = [];
-        this.offset = 0;
+    build() {
+        var group = new THREE.Group();
+        this.buildHeightIndicator();
+        this.buildSegments();
+        this.buildHead();
+        this.buildArcCap();
+        this.buildBody();
+
+        if(!this.arc.isVoid) group.add(this.heightIndicator);
+        group.add(this.head, this.arcCap);
+        group.add(this.body, this.shadow);
+        this.arc.gameObject = group;
     }
 
     /**
-     * @param {string} raw 
+     * Merges the segments into one geometry for the body and one for the shadow.
      */
-    static fromRaw(raw) {
-        var chart = new Chart();
-        var primary = new TimingGroup(true);
-        var targetGroup = primary;
-        chart.timingGroups.push(primary);
+    buildBody() {
+        var offset = this.arc.isVoid ? ArcRenderer.offsetVoid : ArcRenderer.offsetNormal;
+        var body = { positions: [], uvs: [], indices: [] };
+        var shadow = { positions: [], uvs: [], indices: [] };
 
-        var lines = raw.split("\n");
-        lines.forEach((line, i) => {
-            if(i == 0) {
-                // Read the offset.
-                var result = line.trim().match(/AudioOffset:(-?\d*)/);
-                if(!result) {
-                    throw new AffFormatError(`Invalid Arcaea chart format. Could't read AudioOffset.`);
-                }
-                chart.offset = parseFloat(result[1]);
-                return;
-            }
+        for(var i=0; i<this.points.length-1; i++) {
+            var from = this.points[i];
+            var to = this.points[i + 1];
+            if(from.equals(to)) continue;
 
-            if(i == 1) {
-                if(line.trim() != "-") {
-                    throw new AffFormatError(`Invalid Arcaea chart format. The 2nd line must be exactly "-".`);
-                }
-                return;
-            }
+            var n = body.positions.length / 3;
+            body.positions.push(
+                from.x, from.y + offset / 2, from.z,
+                to.x, to.y + offset / 2, to.z,
+                to.x + offset, to.y - offset / 2, to.z,
+                from.x + offset, from.y - offset / 2, from.z,
+                to.x - offset, to.y - offset / 2, to.z,
+                from.x - offset, from.y - offset / 2, from.z
+            );
+            body.uvs.push(0, 0, 0, 1, 1, 1, 1, 0, 1, 1, 1, 0);
+            body.indices.push(
+                n, n + 3, n + 2,
+                n, n + 2, n + 1,
+                n, n + 4, n + 5,
+                n, n + 1, n + 4
+            );
 
-            if(i >= 2) {
-                if(line.startsWith("timinggroup(")) {
-                    targetGroup = new TimingGroup();
-                    chart.timingGroups.push(targetGroup);
-                } else if(line.startsWith("};")) {
-                    targetGroup = primary;
-                } else {
-                    var event = ArcaeaEvent.fromRaw(line.trim(), targetGroup, i);
-                    if(event) targetGroup.events.push(event);
-                }
-            }
-        });
+            n = shadow.positions.length / 3;
+            shadow.positions.push(
+                from.x - offset, 0, from.z,
+                to.x - offset, 0, to.z,
+                to.x + offset, 0, to.z,
+                from.x + offset, 0, from.z
+            );
+            shadow.uvs.push(0, 0, 0, 1, 1, 1, 1, 0);
+            shadow.indices.push(
+                n, n + 2, n + 1,
+                n, n + 3, n + 2
+            );
+        }
 
-        return chart;
-    }
+        var sTexture = AssetManager.instance.getTexture("ArcBody.png");
+        this.alpha = this.arc.isVoid ? 0.4166 : 0.572549;
 
-    /**
-     * Export the `Chart` to Arcaea chart format string.
-     * @param {boolean} fixOffset Whether to make `AudioOffset` be 0.\
-     *                            You may be required to adjust the base timing event time manually.
-     */
-    export(fixOffset) {
-        var header = "AudioOffset:" + (fixOffset ? 0 : this.offset) + "\n";
-        header += "-\n";
-        return header + this.timingGroups.map(t => t.export(fixOffset ? this.offset : 0)).join("");
-    }
+        var sMaterial = this.createMaterial({
+            color: this.color.getHex(),
+            opacity: this.alpha,
+            transparent: true,
+            map: sTexture,
+            side: THREE.DoubleSide
+        });
+        var sdMaterial = this.createMaterial({
+            color: this.arc.isVoid ? 0xaaaaaa : 0x888888,
+            opacity: this.alpha,
+            transparent: true
+        });
 
-    static async download(url) {
-        return Chart.fromRaw(await (await fetch(url, {
-            cache: "no-cache"
-        })).text());
+        this.body = new THREE.Mesh(ArcRenderer.createGeometry(body), sMaterial);
+        this.body.renderOrder = 999;
+
+        this.shadow = new THREE.Mesh(ArcRenderer.createGeometry(shadow), sdMaterial);
+        this.shadow.renderOrder = 9;
+        this.shadow.position.set(0, 0.1, 0);
     }
 
     /**
-     * @return {TapNote[]}
+     * @param {{ positions: number[], uvs: number[], indices: number[] }} data
+     * @returns {TBufferGeometry}
      */
-    taps() {
-        var result = [];
-        this.timingGroups.forEach(t => {
-            result.push.apply(result, t.events.filter(e => {
-                return e instanceof TapNote;
-            }));
-        });
-        return result;
+    static createGeometry(data) {
+        var geometry = new THREE.BufferGeometry();
+        geometry.setAttribute("position", new THREE.Float32BufferAttribute(data.positions, 3));
+        geometry.setAttribute("uv", new THREE.Float32BufferAttribute(data.uvs, 2));
+        geometry.setIndex(data.indices);
+        return geometry;
     }
 
     /**
-     * @return {Arc[]}
+     * Creates a `MeshBasicMaterial` which fades the arc out between 90 and 100 units from the judge line
+     * and hides what has gone past it, instead of using clipping planes.
+     * @param {object} params The parameters of `MeshBasicMaterial`.
      */
-    arcs() {
-        var result = [];
-        this.timingGroups.forEach(t => {
-            result.push.apply(result, t.events.filter(e => {
-                return e instanceof Arc;
-            }));
-        });
-        return result;
+    createMaterial(params) {
+        var material = new THREE.MeshBasicMaterial(params);
+        var judgeCutoff = this.judgeCutoff;
+        material.onBeforeCompile = shader => {
+            shader.uniforms.judgeCutoff = judgeCutoff;
+            shader.vertexShader = "varying float vTrackPos;\nvarying float vArcAlpha;\n" +
+                shader.vertexShader.replace("#include <project_vertex>", [
+                    "#include <project_vertex>",
+                    "\tvTrackPos = -(modelMatrix * vec4(transformed, 1.0)).z;",
+                    "\tvArcAlpha = clamp((100.0 - vTrackPos) / 10.0, 0.0, 1.0);"
+                ].join("\n"));
+            shader.fragmentShader = "uniform float judgeCutoff;\nvarying float vTrackPos;\nvarying float vArcAlpha;\n" +
+                shader.fragmentShader.replace("vec4 diffuseColor = vec4( diffuse, opacity );", [
+                    "if(vTrackPos > 100.0 || vTrackPos < (judgeCutoff > 0.5 ? 0.0 : -20.0)) discard;",
+                    "\tvec4 diffuseColor = vec4( diffuse, opacity * vArcAlpha );"
+                ].join("\n"));
+        };
+        return material;
     }
 
-    /**
-     * @return {HoldNote[]}
-     */
-    holds() {
-        var result = [];
-        this.timingGroups.forEach(t => {
-            result.push.apply(result, t.events.filter(e => {
-                return e instanceof HoldNote;
-            }));
+    buildArcCap() {
+        var arc = this.arc;
+
+        var cTexture = AssetManager.instance.getTexture("ArcCap.png");
+        var plane = new THREE.PlaneGeometry(2.5, 2.5);
+        var cMaterial = new THREE.MeshBasicMaterial({
+            color: cTexture ? 0xffffff : 0x6c526f,
+            map: cTexture,
+            transparent: true,
+            opacity: 1
         });
-        return result;
+
+        var obj = new THREE.Mesh(plane, cMaterial);
+        obj.renderOrder = 1000;
+        obj.position.set(-ArcAlgorithm.arcXToWorld(arc.start.x), 0, 0);
+        if(!cTexture) {
+            obj.setRotationFromEuler(new THREE.Euler(0, 0, Math.PI / 4));
+        }
+        this.arcCap = obj;
+        obj.renderOrder = 10010;
     }
 
-    /**
-     * @return {CameraEvent[]}
-     */
-    cameras() {
-        var result = [];
-        this.timingGroups.forEach(t => {
-            result.push.apply(result, t.events.filter(e => {
-                return e instanceof CameraEvent;
-            }));
+    buildHeightIndicator() {
+        var arc = this.arc;
+        if(arc.isVoid) {
+            this.enableHeightIndicator = false;
+            return;
+        }
+
+        var hTexture = AssetManager.instance.getTexture("HeightIndicator.png");
+        var plane = new THREE.PlaneGeometry();
+        var hMaterial = new THREE.MeshBasicMaterial({
+            color: ArcRenderer.colors[arc.color].getHex(),
+            map: hTexture,
+            transparent: true,
+            side: THREE.DoubleSide,
+            opacity: 0.572549,
+            clippingPlanes: [
+                new THREE.Plane( new THREE.Vector3( 0, 0, -1 ), 0)
+            ]
         });
-        return result;
-    }
 
-    getPrimaryTimingGroup() {
-        return this.timingGroups[0];
+        var obj = new THREE.Mesh(plane, hMaterial);
+        obj.renderOrder = 1000;
+        obj.position.set(-ArcAlgorithm.arcXToWorld(arc.start.x), 0, 0);
+        obj.scale.set(hTexture ? 2.34 : 0.4, 2 * (ArcAlgorithm.arcYToWorld(arc.start.y) - ArcRenderer.offsetNormal / 2), 1);
+        this.heightIndicator = obj;
     }
-}
 
-class AffFormatError extends Error {
-    constructor(msg) {
-        super(msg);
-    }
-}
+    buildSegments() {
+        var arc = this.arc;
+        if(!arc) return;
 
-class TimingGroup {
-    constructor(isPrimary = false) {
-        this.isPrimary = isPrimary;
+        var g = arc.timingGroup;
+        var offset = GameplayManager.instance.audioManager.offset;
+        var context = TimingManager.instance.getContext();
+        var duration = arc.endTime - arc.time;
 
-        /** @type {ArcaeaEvent[]} */
-        this.events = [];
+        var v1 = duration < 1000 ? 14 : 7;
+        var v2 = duration == 0 ? 0 : 1 / (v1 * duration / 1000);
+        var segSize = Math.floor(duration * v2);
+        this.segCount = Math.floor(segSize == 0 ? 0 : duration / segSize) + 1;
 
-        /** @type {number[]} */
-        this.keyTimes = [];
-        this.pairCount = 0;
-        this.starts = [];
-        this.ends = [];
+        this.points = [new Vector3(
+            -ArcAlgorithm.arcXToWorld(arc.start.x),
+            ArcAlgorithm.arcYToWorld(arc.start.y)
+        )];
 
-        /** @type {TimingEvent[]} */
-        this.timings = null;
+        for(var i=0; i<this.segCount-1; i++) {
+            this.points.push(new Vector3(
+                -ArcAlgorithm.arcXToWorld(ArcAlgorithm.resolveX(arc.start.x, arc.end.x, (i + 1) * segSize / duration, arc.lineType)),
+                ArcAlgorithm.arcYToWorld(ArcAlgorithm.resolveY(arc.start.y, arc.end.y, (i + 1) * segSize / duration, arc.lineType)),
+                -g.getPosByTimingWithStart(arc.time + offset, arc.time + offset + segSize * (i + 1), context) / 1000
+            ));
+        }
+
+        this.points.push(new Vector3(
+            -ArcAlgorithm.arcXToWorld(arc.end.x),
+            ArcAlgorithm.arcYToWorld(arc.end.y),
+            -g.getPosByTimingWithStart(arc.time + offset, arc.endTime + offset, context) / 1000
+        ));
+
+        this.color = arc.isVoid ? ArcRenderer.arcVoid : ArcRenderer.colors[arc.color];
     }
 
-    export(offset = 0) {
-        var content = "";
-        if(!this.isPrimary) {
-            content += "timinggroup(){\n";
-        }
+    buildHead() {
+        var arc = this.arc;
+        var pos = new Vector3(-ArcAlgorithm.arcXToWorld(arc.start.x), ArcAlgorithm.arcYToWorld(arc.start.y));
+        var offset = arc.isVoid ? ArcRenderer.offsetVoid : ArcRenderer.offsetNormal;
 
-        content += this.events.map(e => {
-            return (this.isPrimary ? "" : "    ") + e.export(offset) + "\n";
-        }).join("");
+        var vertices = [];
+        var uv = [];
 
-        if(!this.isPrimary) {
-            content += "};\n";
-        }
+        vertices.push(
+            pos.add(new Vector3(0, offset / 2, 0)),
+            pos.add(new Vector3(offset, -offset / 2, 0)),
+            pos.add(new Vector3(0, -offset / 2, offset / 2)),
+            pos.add(new Vector3(-offset, -offset / 2, 0)),
+        );
 
-        return content;
-    }
+        uv.push(
+            new THREE.Vector2(),
+            new THREE.Vector2(1, 0),
+            new THREE.Vector2(1, 1),
+            new THREE.Vector2(1, 1)
+        );
 
-    getBaseBpm() {
-        /** @type {TimingEvent} */
-        var event = this.getTimingEvents()[0];
+        var g = this.headGeometry = new THREE.Geometry();
+        g.vertices.push.apply(g.vertices, vertices);
+        g.faces.push(
+            new THREE.Face3(0, 2, 1),
+            new THREE.Face3(0, 3, 2),
+            new THREE.Face3(0, 1, 2),
+            new THREE.Face3(0, 2, 3)
+        );
+        g.faceVertexUvs[0].push(
+            [uv[0], uv[2], uv[1]],
+            [uv[0], uv[3], uv[2]],
+            [uv[0], uv[1], uv[2]],
+            [uv[0], uv[2], uv[3]]
+        );
+        g.computeFaceNormals();
 
-        if(!event) {
-            throw new AffFormatError("Invalid Arcaea file format. The timing group has no timing event.");
-        }
-        return event.bpm;
+        var sTexture = AssetManager.instance.getTexture("ArcBody.png");
+        var sMaterial = new THREE.MeshBasicMaterial({
+            color: this.color.getHex(),
+            opacity: this.arc.isVoid ? 0.4166 : 0.572549,
+            transparent: true,
+            side: THREE.DoubleSide,
+            map: sTexture,
+            clippingPlanes: [
+                new THREE.Plane( new THREE.Vector3( 0, 0, -1 ), 0)
+            ]
+        });
+        this.head = new THREE.Mesh(g, sMaterial);
     }
 
-    /** @return {TimingEvent[]} */
-    getTimingEvents() {
-        if(this.timings == null) {
-            this.timings = Object.freeze(this.events.filter(n => {
-                return n instanceof TimingEvent;
-            }).sort((a, b) => {
-                return a.time - b.time
-            }));
-        }
-        return this.timings;
-    }
+    update() {
+        this.updateHead();
+        this.updateSegments();
+        this.updateHeightIndicator();
+        this.updateArcCap();
 
-    /**
-     * @param {number} timing 
-     */
-    getBpmByTiming(timing) {
-        var timings = this.getTimingEvents();
-        for(var i=0; i<timings.length - 1; i++) {
-            if(
-                timing > timings[i].time &&
-                timing < timings[i+1].time
-            ) {
-                return timings[i].bpm;
-            }
-        }
-        return timings[timings.length - 1].bpm;
+        this.arcCap.visible = this.enableArcCap;
+        this.heightIndicator.visible = this.enableArcCap;
     }
 
-    /**
-     * @param {number} timing 
-     */
-    getPosByTiming(timing) {
-        return this.getPosByTimingWithStart(GameplayManager.instance.timing, timing);
+    updateSegments() {
+        var arc = this.arc;
+        this.judgeCutoff.value = arc.judging || arc.isVoid ? 1 : 0;
+        this.body.material.opacity = this.alpha;
+
+        var color = this.flashRed ? ArcRenderer.arcWrongColor : this.color;
+        this.body.material.color.copy(color);
+        this.head.material.color.copy(color);
     }
 
-    /**
-     * 
-     * @param {number} pos 
-     * @param {number} depth 
-     */
-    getTimingByPos(pos, depth = 0) {
-        var timings = this.getTimingEvents();
-        var start = 0;
-        var end = timings.length - 1;
-        var breakPos = -1;
-        var startPos = 0;
-        var endPos = pos;
+    updateHead() {
+        this.head.visible = this.arc.renderHead;
+    }
 
-        var gm = GameplayManager.instance;
-        var offset = gm.audioManager.offset;
-        var time = gm.timing;
-        var songLength = gm.length;
-
-        for(var i=0; i<timings.length - 1; i++) {
-            if(time >= timings[i].time + offset && time < timings[i+1].time + offset) start = i;
-        }
-        if(time >= timings[end].time + offset) start = end;
-
-        var depthCount = 0;
-        var delta = 0;
-        var endTime = 0;
-
-        if(start != end) {
-            for(var i=start; i<=end; i++) {
-                if(i == start) {
-                    delta = (timings[i+1].time + offset - time) * (timings[i].bpm / this.getBaseBpm()) * this.getDropRate();
-                    if((startPos + delta <= endPos && startPos >= endPos) || (startPos + delta >= endPos && startPos <= endPos)) {
-                        if(depth == depthCount) {
-                            breakPos = i;
-                            break;
-                        } else {
-                            depthCount++;
-                        }
-                    }
-                    startPos += delta;
-                } else if(i != end && i != start) {
-                    delta = (timings[i+1].time - timings[i].time) * (timings[i].bpm / this.getBaseBpm()) * this.getDropRate();
-                    if((startPos + delta < endPos && startPos > endPos) || (startPos + delta > endPos && startPos < endPos)) {
-                        if(depth == depthCount) {
-                            breakPos = i;
-                            break;
-                        } else {
-                            depthCount++;
-                        }
-                    }
-                    startPos += delta;
-                } else if(i == end) {
-                    delta = (songLength - timings[i].time - offset) * (timings[i].bpm / this.getBaseBpm()) * this.getDropRate();
-                    if((startPos + delta < endPos && startPos > endPos) || (startPos + delta > endPos && startPos < endPos)) {
-                        if(depth == depthCount) {
-                            breakPos = i;
-                            break;
-                        } else {
-                            depthCount++;
-                        }
-                    }
-                    startPos += delta;
-                }
-            }
-        } else if(start == end) {
-            delta = (endPos - startPos);
-            endTime = delta / (((timings[end].bpm || 1) / this.getBaseBpm()) * this.getDropRate()) + time;
-            if(endTime > songLength) return songLength;
-            return Math.floor(endTime);
+    updateHeightIndicator() {
+        var arc = this.arc;
+        if(arc.isVoid || (arc.end.y == arc.start.y)) {
+            this.enableHeightIndicator = false;
+            return;
         }
 
-        if(breakPos == start) {
-            delta = (endPos - startPos);
-            if(delta == 0) {
-                if(timings[breakPos].bpm == 0) endTime = timings[breakPos].time + offset;
-                else endTime = time;
+        var pos = arc.gameObject.position.z;
+        var currentTime = GameplayManager.instance.timing;
+        if(pos < -90 && pos > -100) {
+            var alpha = arc.isVoid ? 0.4166 : 0.572549;
+            this.heightIndicator.material.opacity = alpha * (pos + 100) / 10;
+            this.enableHeightIndicator = true;
+        } else if(pos < -100 || pos > 10) {
+            this.enableHeightIndicator = false;
+        } else {
+            if(arc.judging && pos > 0) {
+                this.enableHeightIndicator = false;
             } else {
-                endTime = delta / (((timings[breakPos].bpm || 1) / this.getBaseBpm()) * this.getDropRate()) + time;
+                this.enableHeightIndicator = true;
             }
-        } else if(breakPos != -1) {
-            delta = (endPos - startPos);
-            endTime = delta / (((timings[breakPos].bpm || 1) / this.getBaseBpm()) * this.getDropRate()) + timings[breakPos].time + offset;
-        } else if(breakPos == -1) {
-            endTime = songLength;
-        }
-
-        if(endTime > songLength) {
-            return songLength;
-        } else {
-            return Math.floor(endTime);
+            this.heightIndicator.material.color = this.color;
         }
     }
 
-    /**
-     * @return {number}
-     */
-    getDropRate() {
-        return TimingManager.instance.dropRate;
-    }
-
-    /**
-     * 
-     * @param {number} start 
-     * @param {number} timing 
-     */
-    getPosByTimingWithStart(start, timing) {
+    updateArcCap() {
+        var arc = this.arc;
+        var currentTime = GameplayManager.instance.timing;
+        var duration = arc.endTime - arc.time;
         var offset = GameplayManager.instance.audioManager.offset;
-        var current = start > timing ? timing : start;
-        var target = start > timing ? start : timing;
-        var reverse = start > timing;
-
-        current -= offset;
-        target -= offset;
-        offset = 0;
-
-        var pos = 0;
-        var a = 0;
-        var b = 0;
-
-        var timings = this.getTimingEvents();
-        for(var i=0; i<timings.length-1; i++) {
-            if(current >= timings[i].time + offset && current < timings[i+1].time + offset) {
-                a = i;
-                break;
-            }
-        }
-        for(var i=0; i<timings.length-1; i++) {
-            if(target >= timings[i].time + offset && target < timings[i+1].time + offset) {
-                b = i;
-                break;
-            }
-        }
 
-        if(timings.length != 0) {
-            if(current >= timings[timings.length - 1].time + offset) a = timings.length - 1;
-            if(target >= timings[timings.length - 1].time + offset) b = timings.length - 1;
+        if(duration == 0) {
+            this.enableArcCap = false;
+            return;
         }
 
-        var base = this.getBaseBpm();
-        var dropRate = this.getDropRate();
+        if(arc.position > 0 && arc.position < 100000) {
+            if(arc.renderHead && !arc.isVoid) {
+                var p = 1 - arc.position / 100000;
+                var scale = 0.35 + 0.5 * (1 - p) * (this.arcCap.material.map ? 1 : 0.7);
+                this.enableArcCap = true;
+                
+                var a = this.arcCap;
+                a.material.opacity = p;
+                a.scale.set(scale, scale, 1);
 
-        if(a == b) {
-            pos += (target - current) * timings[a].bpm / base * dropRate;
-        } else {
-            for(var i=a; i<=b; i++) {
-                if(i == a) pos += (timings[i+1].time + offset - current) * timings[i].bpm / base * dropRate;
-                else if(i != a && i != b) pos += (timings[i+1].time - timings[i].time - offset) * timings[i].bpm / base * dropRate;
-                else if(i == b) pos += (target - timings[i].time + offset) * timings[i].bpm / base * dropRate;
+                a.position.set(-ArcAlgorithm.arcXToWorld(arc.start.x), ArcAlgorithm.arcYToWorld(arc.start.y), -a.parent.position.z + 0.01);
+            } else {
+                this.enableArcCap = false;
             }
-        }
-
-        return reverse ? -pos : pos;
-    }
+        } else if(arc.position < 0 && arc.endPosition > 0) {
+            this.enableArcCap = true;
+            
+            var a = this.arcCap;
+            a.material.opacity = arc.isVoid ? 0.5 : 1;
+            var scale = arc.isVoid ? 0.21 : 0.35 * (this.arcCap.material.map ? 1 : 0.7);
+            a.scale.set(scale, scale, 1);
 
-    /**
-     * 
-     * @param {number} time 
-     * @param {number} delay 
-     */
-    shouldRender(time, delay = 120) {
-        for(var i=0; i<this.pairCount; ++i) {
-            if(time >= this.starts[i] - delay && time <= this.ends[i]) return true;
+            for(var i=0; i<this.points.length-1; i++) {
+                var from = this.points[i];
+                var to = this.points[i + 1];
+                if(arc.position / 1000 < from.z && arc.position / 1000 >= to.z) {
+                    var t = (from.z - arc.position / 1000) / (from.z - to.z);
+                    a.position.set(
+                        from.x + (to.x - from.x) * t,
+                        from.y + (to.y - from.y) * t,
+                        -a.parent.position.z + 0.01
+                    );
+                    if(!arc.isVoid) {
+                        ArcManager.instance.arcJudgePos += a.position.x;
+                    }
+                    break;
+                }
+            }
+        } else {
+            this.enableArcCap = false;
         }
-        return false;
     }
 
-    updateRenderRange() {
-        this.pairCount = 0;
-        this.keyTimes = [];
+}
 
-        this.keyTimes.push(
-            GameplayManager.instance.timing,
-            GameplayManager.instance.timing,
-            this.getTimingByPos(0, 0),
-            this.getTimingByPos(100000, 0)
-        );
+ArcRenderer.offsetNormal = 0.9;
+ArcRenderer.offsetVoid = 0.15;
 
-        for(var i=0; i<this.keyTimes.length; i += 2) {
-            this.starts[this.pairCount] = this.keyTimes[i];
-            this.ends[this.pairCount] = this.keyTimes[i+1];
-            this.pairCount++;
-        }
-    }
-}
+ArcRenderer.arcVoid = new THREE.Color(0.5686275, 0.4705882, 0.6666667); // a = 0.4166f;
+ArcRenderer.arcRed = new THREE.Color(1, 0.5882353, 0.8627451); // a = 0.572549f;
+ArcRenderer.arcGreen = new THREE.Color(0, 1, 0.4759281); // a = 0.572549f;
+ArcRenderer.arcBlue = new THREE.Color(0.04705882, 0.8313726, 0.8313726); // a = 0.572549f;
+ArcRenderer.arcWrongColor = new THREE.Color(1, 0.15, 0.15);
 
-class AffExportError extends Error {
-    /** 
-     * @param {string | null} msg
-     */
-    constructor(msg = null) {
-        super(msg);
-    }
-}
+ArcRenderer.colors = [
+    ArcRenderer.arcBlue,
+    ArcRenderer.arcRed,
+    ArcRenderer.arcGreen
+]
 
-class ArcaeaEvent {
-    /** 
-     * @param {TimingGroup} timingGroup
-     * @param {number} time 
-     */
-    constructor(timingGroup, time) {
-        /** An integer represents the note time in milliseconds. */
-        this.time = time;
+class TimingManager {
+    constructor() {
+        TimingManager.instance = this;
+        this.dropRate = 100;
 
         /** @type {TimingGroup} */
-        this.timingGroup = timingGroup;
-        this.gameObject = new THREE.Object3D();
-    }
+        this.timingGroup = null;
+
+        /** @type {TimingEvent[]} */
+        this.timings = [];
+
+        /** @type {TObject3D[]} */
+        this.beatlines = [];
 
-    export(offset = 0) {
-        console.error(this);
-        throw new AffExportError("This event cannot be exported.");
+        this.beatlineTimings = [];
     }
 
-    canBeRendered() {
-        return false;
+    clean() {
+        this.timingGroup = null;
+        this.timings = [];
+        this.beatlineTimings = [];
+        this.hideExceededBeatlines(0);
     }
 
-    /**
-     * 
-     * @param {string} line 
-     * @param {TimingGroup} timingGroup
-     * @returns {ArcaeaEvent}
-     */
-    static fromRaw(line, timingGroup, i) {
-        var index = line.indexOf("(");
-        if(index == -1) {
-            return null;
-        }
-
-        var type = line.substring(0, index);
-        switch(type) {
-            case "":
-                return TapNote.fromRaw(line, timingGroup);
-            case "hold":
-                return HoldNote.fromRaw(line, timingGroup);
-            case "arc":
-                return Arc.fromRaw(line, timingGroup);
-            case "timing":
-                return TimingEvent.fromRaw(line, timingGroup);
-            case "camera":
-                return CameraEvent.fromRaw(line, timingGroup);
-            default:
-                throw new AffFormatError(`Unknown event type: ${type}.`);
+    getBeatline(index) {
+        while(this.beatlines.length < index + 1) {
+            var bGeometry = new THREE.PlaneGeometry();
+            var bMaterial = new THREE.MeshBasicMaterial({
+                color: 0xaaaaaa
+            });
+            var line = new THREE.Mesh(bGeometry, bMaterial);
+            line.scale.set(17.1, 0.2, 1);
+            line.setRotationFromEuler(new THREE.Euler(-90 / 180 * Math.PI, 0, 0));
+            GameplayManager.instance.game.scene.add(line);
+            this.beatlines.push(line);
         }
+        return this.beatlines[index];
     }
-}
-
-class ArcaeaJudgableEvent extends ArcaeaEvent {
-    /**
-     * 
-     * @param {TimingGroup} timingGroup 
-     * @param {number} time 
-     */
-    constructor(timingGroup, time) {
-        super(timingGroup, time);
 
-        this.enabled = true;
-        this.judging = false;
-        this.judged = false;
-        this.position = 0;
+    hideExceededBeatlines(quantity) {
+        var count = this.beatlines.length;
+        while(count > quantity) {
+            this.beatlines[count - 1].visible = false;
+            count--;
+        }
     }
-}
 
-class TapNote extends ArcaeaJudgableEvent {
     /**
      * @param {TimingGroup} timingGroup
-     * @param {number} time An integer represents the note time in milliseconds.
-     * @param {number} lane An integer between 1 to 4, represents the lane of the note.
+     * @param {TimingEvent[]} timings
      */
-    constructor(timingGroup, time, lane) {
-        super(timingGroup, time);
-
-        /** An integer between 1 to 4, represents the lane of the note. */
-        this.lane = lane;
+    load(timingGroup, timings) {
+        this.timingGroup = timingGroup;
+        this.timings = timings;
+        this.calculateBeatlineTimes();
     }
 
-    export(offset = 0) {
-        return `(${this.time + offset},${this.lane});`;
-    }
+    calculateBeatlineTimes() {
+        this.beatlineTimings = [];
+        this.hideExceededBeatlines(0);
+        var timings = this.timings;
 
-    canBeRendered() {
-        return true;
+        for(var i=0; i<timings.length-1; ++i) {
+            var segment = timings[i].bpm == 0 ? (timings[i+1].time - timings[i].time) : (60000 / Math.abs(timings[i].bpm) * timings[i].beatsPerLine);
+            if(segment == 0) continue;
+
+            var n = 0;
+            while(true) {
+                var j = timings[i].time + (n++) * segment;
+                if(j >= timings[i + 1].time) {
+                    break;
+                }
+                this.beatlineTimings.push(j);
+            }
+        }
+
+        if(timings.length >= 1) {
+            var segmentsRemain = timings[timings.length - 1].bpm == 0 ? (GameplayManager.instance.length - timings[timings.length - 1].time)
+                : 60000 / Math.abs(timings[timings.length - 1].bpm) * timings[timings.length - 1].beatsPerLine;
+            
+            if(segmentsRemain != 0) {
+                var n = 0;
+                var j = timings[timings.length - 1].time;
+                while(j < GameplayManager.instance.length) {
+                    j = timings[timings.length - 1].time + (n++) * segmentsRemain;
+                    this.beatlineTimings.push(j);
+                }
+            }
+        }
+
+        if(timings.length >= 1 && timings[0].bpm != 0 && timings[0].beatsPerLine != 0) {
+            var t = 0;
+            var delta = 60000 / Math.abs(timings[0].bpm) * timings[0].beatsPerLine;
+            var n = 0;
+            if(delta != 0) {
+                while(t >= -3000) {
+                    t = -(++n) * delta;
+                    this.beatlineTimings.unshift(t);
+                }
+            }
+        }
     }
 
-    /** 
-     * @param {string} line 
-     * @param {TimingGroup} timingGroup
+    /**
+     * Returns the current playback state to calculate the floor positions with.
+     * @returns {TimingContext}
      */
-    static fromRaw(line, timingGroup) {
-        var result = line.match(/\((.*?),(.*?)\)/);
-        return new TapNote(timingGroup, parseInt(result[1]), parseInt(result[2]));
+    getContext() {
+        var gameplayManager = GameplayManager.instance;
+        return {
+            timing: gameplayManager.timing,
+            offset: gameplayManager.audioManager.offset,
+            length: gameplayManager.length,
+            dropRate: this.dropRate
+        };
     }
 
-    static newObject() {
-        var loader = new THREE.TextureLoader();
-        var texture = GameplayManager.instance.colorsOnly ? null : loader.load("./assets/textures/TapNote.png");
+    updateBeatline() {
+        var index = 0;
+        var offset = GameplayManager.instance.audioManager.offset;
+        var context = this.getContext();
 
-        var material = new THREE.MeshBasicMaterial({
-            color: GameplayManager.instance.colorsOnly ? 0x8dcee6 : 0xffffff,
-            map: texture,
-            transparent: true
-        });
-        var geometry = new THREE.PlaneGeometry(1, 1);
-        var obj = new THREE.Mesh(geometry, material);
-        obj.position.x = -ArcAlgorithm.arcXToWorld(-0.25);
-        obj.position.y = 0.11;
-        obj.position.z = -0.5;
-        obj.scale.x = 4.2746 * 0.95;
-        obj.scale.y = 2.3;
-        obj.scale.z = 1 * 0.95;
-        obj.setRotationFromEuler(new THREE.Euler(-90 / 180 * Math.PI, 0, 0));
-        return obj;
-    }
+        this.beatlineTimings.forEach(t => {
+            var z = this.timingGroup.getPosByTiming(Math.floor(t + offset), context) / 1000;
+            if(z < 0 || z > 100) {
+                return;
+            }
 
-    setupArcTapConnection() {
-        ArcManager.instance.arcs.forEach(a => {
-            if(a.arcTaps.length == 0) return;
-            a.arcTaps.forEach(t => {
-                if(Math.abs(t.time - this.time) <= 1) {
-                    t.setupArcTapConnection();
-                }
-            });
+            var line = this.getBeatline(index);
+            line.visible = true;
+            line.position.set(0, 0.1, -z);
+            line.scale.y = 0.2 + z * 0.01;
+            index++;
         });
+        this.hideExceededBeatlines(index);
     }
 
-    destroy() {
-        GameplayManager.instance.game.scene.remove(this.gameObject);
+    update() {
+        if(this.timingGroup == null) return;
+        this.updateBeatline();
     }
 }
+/** @type {TimingManager} */
+TimingManager.instance = null;
 
-class HoldNote extends ArcaeaJudgableEvent {
-    /**
-     * @param {TimingGroup} timingGroup
-     * @param {number} time An integer represents the note time in milliseconds.
-     * @param {number} endTime An integer represents the end of the holding time in milliseconds.
-     * @param {number} lane An integer between 1 to 4, represents the lane of the note.
-     */
-    constructor(timingGroup, time, endTime, lane) {
-        super(timingGroup, time);
-
-        /** An integer represents the end of the holding time in milliseconds. */
-        this.endTime = endTime;
-
-        /** An integer between 1 to 4, represents the lane of the note. */
-        this.lane = lane;
-        this.audioPlayed = false;
-        this.shouldPlayAudio = false;
-
-        /** @type {number[]} */
-        this.judgeTimings = [];
-    }
+class CameraManager {
+    constructor(camera) {
+        CameraManager.instance = this;
+        this.camera = camera;
+        this.isReset = true;
+        this.currentTilt = 0;
+        /** @type {CameraEvent[]} */
+        this.cameraEvents = [];
 
-    export(offset = 0) {
-        return `hold(${this.time + offset},${this.endTime + offset},${this.lane});`;
+        this.isForce4By3 = false;
     }
 
-    canBeRendered() {
-        return true;
+    clean() {
+        this.cameraEvents = [];
     }
 
     /**
-     * 
-     * @param {string} line 
-     * @param {TimingGroup} timingGroup
+     * @param {CameraEvent[]} cameras 
      */
-    static fromRaw(line, timingGroup) {
-        var result = line.match(/hold\((.*?),(.*?),(.*?)\)/);
-        return new HoldNote(timingGroup, parseInt(result[1]), parseInt(result[2]), parseInt(result[3]));
+    load(cameras) {
+        this.cameraEvents.push.apply(this.cameraEvents, cameras);
     }
 
-    calculateJudgeTimings() {
-        this.judgeTimings = [];
-        var u = 0;
-        var g = this.timingGroup;
-
-        var bpm = g.getBpmByTiming(this.time);
-        if(bpm <= 0) return;
-        var interval = 60000 / bpm / (bpm >= 255 ? 1 : 2);
-        var total = Math.floor((this.endTime - this.time) / interval);
+    resetCamera() {
+        var c = this.camera;
+        var width = screen.width;
+        var height = screen.height;
+        var aspect = width / height;
 
-        if(u ^ 1 > total) {
-            this.judgeTimings.push(Math.floor(this.time + (this.endTime - this.time) * 0.5));
-            return;
-        }
+        c.fov = this.is16By9() ? 50 : 65;
+        c.near = 1;
+        c.far = 10000;
 
-        var n = u ^ 1;
-        while(true) {
-            var t = Math.floor(this.time + n * interval);
-            if(t < this.endTime) {
-                this.judgeTimings.push(t);
-            }
-            if(total == ++n) break;
-        }
+        var resetPos = this.getResetPosition();
+        c.position.set(resetPos.x, resetPos.y, resetPos.z)
+        c.lookAt(0, -5.5, -20);
+        this.isReset = true;
     }
 
-    static newObject() {
-        var loader = new THREE.TextureLoader();
-        var texture = GameplayManager.instance.colorsOnly ? null : loader.load("./assets/textures/HoldNote.png");
+    update() {
+        this.updateCameraPos();
+        this.updateCameraTilt();
+    }
 
-        var material = new THREE.MeshBasicMaterial({
-            color: GameplayManager.instance.colorsOnly ? 0x8dcee6 : 0xffffff,
-            map: texture,
-            transparent: true,
-            clippingPlanes: [
-                new THREE.Plane( new THREE.Vector3( 0, 0, -1 ), 0 ),
-                new THREE.Plane( new THREE.Vector3( 0, 0, 1 ), 100)
-            ]
-        });
-        var geometry = new THREE.PlaneGeometry(1, 1);
-        var obj = new THREE.Mesh(geometry, material);
-        obj.position.x = -ArcAlgorithm.arcXToWorld(-0.25);
-        obj.position.y = 0.11;
-        obj.position.z = -0.5;
-        obj.scale.x = 4.2746 * 0.95;
-        obj.scale.y = 1.53 * 0.95;
-        obj.scale.z = 1 * 0.95;
-        obj.setRotationFromEuler(new THREE.Euler(-90 / 180 * Math.PI, 0, 0));
-        return obj;
+    is16By9() {
+        if(this.isForce4By3) return false;
+        var canvas = GameplayManager.instance.game.canvas;
+        return Math.abs(canvas.width / canvas.height - 16 / 9) < 0.1;
     }
 
-    destroy() {
-        GameplayManager.instance.game.scene.remove(this.gameObject);
+    getResetPosition() {
+        var widen = SceneControlManager.instance ? SceneControlManager.instance.enwidenCamera : 0;
+        return new Vector3(0, 9 + widen * 3, (this.is16By9() ? 9 : 8) + widen * 4);
     }
-}
 
-class Vector2 {
-    /**
-     * @param {number} x 
-     * @param {number} y 
-     */
-    constructor(x = 0, y = 0) {
-        this.x = x;
-        this.y = y;
+    getResetRotation() {
+        return new Vector3(this.is16By9() ? -26.565 : -27.378, 0, 0);
     }
 
-    toVector3(z = 0) {
-        return new Vector3(this.x, this.y, z);
+    updateCameraPos() {
+        /** @type {GameplayManager} */
+        var gameplayManager = GameplayManager.instance;
+        var time = gameplayManager.timing;
+        var offset = gameplayManager.audioManager.offset;
+        time -= offset;
+
+        for(var i=0; i<this.cameraEvents.length; ++i) {
+            var c = this.cameraEvents[i];
+            if(c.time > time) break;
+            c.update(time);
+            if(c.type == "reset") {
+                for(var r=0; r<i; ++r) {
+                    var cr = this.cameraEvents[r];
+                    cr.update(c.time);
+                }
+            }
+        }
+
+        var position = this.getResetPosition();
+        var rotation = this.getResetRotation();
+        for(var i=0; i<this.cameraEvents.length; ++i) {
+            var c = this.cameraEvents[i];
+            if(c.time > time) break;
+
+            this.isReset = c.type == "reset";
+            if(this.isReset) {
+                position = this.getResetPosition();
+                rotation = this.getResetRotation();
+            }
+            
+            position.x += c.translation.x * c.percent / 100;
+            position.y += c.translation.y * c.percent / 100;
+            position.z += c.translation.z * c.percent / 100;
+
+            rotation.x += c.rotation.y * c.percent;
+            rotation.y += c.rotation.x * c.percent;
+            rotation.z += c.rotation.z * c.percent;
+        }
+
+        this.camera.up.set(0, 1, 0);
+        this.camera.position.set(position.x, position.y, position.z);
+
+        // The camera is rotating on world axis....
+        this.camera.setRotationFromEuler(new THREE.Euler(0, 0, 0));
+        this.camera.rotateOnAxis(new THREE.Vector3(1, 0, 0), rotation.x / 180 * Math.PI);
+        this.camera.rotateOnWorldAxis(new THREE.Vector3(0, 1, 0), rotation.y / 180 * Math.PI);
+        this.camera.rotateOnWorldAxis(new THREE.Vector3(0, 0, 1), rotation.z / 180 * Math.PI);
     }
 
-    /**
-     * @param {Vector2} a 
-     * @param {Vector2} b 
-     * @param {number} t 
-     * @param {ArcLineType} type 
-     */
-    static tween(a, b, t, type = "s") {
-        return new Vector2(
-            ArcAlgorithm.resolveX(a.x, b.x, t, type),
-            ArcAlgorithm.resolveY(a.y, b.y, t, type),
-        );
+    updateCameraTilt() {
+        if(!this.isReset)  {
+            this.currentTilt = 0;
+            return;
+        }
+        var currentArcPos = GameplayManager.instance.autoplay ? -ArcManager.instance.arcJudgePos : 0;
+        var pos = Utils.clamp(currentArcPos / 4.25, -1, 1) * 0.05;
+        var delta = pos - this.currentTilt;
+        var speed = GameplayManager.instance.audioManager.isPlaying ? (currentArcPos == 0 ? 0.02 : 0.04) : 0.03;
+        this.currentTilt = this.currentTilt + speed * delta;
+        this.camera.up.set(this.currentTilt, 1 - this.currentTilt, 0);
+        this.camera.lookAt(new THREE.Vector3(0, -5.5, -20)); 
     }
 }
+/** @type {CameraManager} */
+CameraManager.instance = null;
 
-class Vector3 {
-    /**
-     * @param {number} x 
-     * @param {number} y 
-     * @param {number} z 
-     */
-    constructor(x = 0, y = 0, z = 0) {
-        this.x = x;
-        this.y = y;
-        this.z = z;
-    }
+class SceneControlManager {
+    constructor() {
+        SceneControlManager.instance = this;
 
-    equals(v) {
-        if(!(v instanceof Vector3)) return false;
-        return (v.x == this.x && v.y == this.y && v.z == this.z);
-    }
+        /** @type {SceneControlEvent[]} */
+        this.events = [];
 
-    /**
-     * 
-     * @param {Vector3} vector 
-     */
-    addToSelf(vector) {
-        this.x += vector.x;
-        this.y += vector.y;
-        this.z += vector.z;
-    }
+        /** Whether the track is shown. */
+        this.trackVisible = true;
 
-    /**
-     * 
-     * @param {Vector3} vector 
-     */
-    add(vector) {
-        var result = new Vector3(this.x, this.y, this.z);
-        result.x += vector.x;
-        result.y += vector.y;
-        result.z += vector.z;
-        return result;
+        /** The strength of the red line effect, between 0 and 1. */
+        this.redline = 0;
+
+        /** How far the camera is widened, between 0 and 1. */
+        this.enwidenCamera = 0;
+
+        /** How far the lanes are widened, between 0 and 1. */
+        this.enwidenLanes = 0;
+
+        /** Whether the arcs are moved by `arcahvdistort` or `arcahvdebris`, so they are reset when it ends. */
+        this.arcsMoved = false;
     }
 
-    /**
-     * 
-     * @param {number} n 
-     * @returns {Vector3}
-     */
-    times(n) {
-        return new Vector3(
-            this.x * n,
-            this.y * n,
-            this.z * n
-        );
+    clean() {
+        this.events = [];
+        this.trackVisible = true;
+        this.redline = 0;
+        this.enwidenCamera = 0;
+        this.enwidenLanes = 0;
+        this.arcsMoved = false;
+        this.updateTrack();
     }
-}
 
-class ArctapNote extends ArcaeaJudgableEvent {
     /**
-     * @param {TimingGroup} timingGroup
-     * @param {number} time 
-     * @param {Arc} arc 
+     * @param {SceneControlEvent[]} events 
      */
-    constructor(timingGroup, time, arc) {
-        super(timingGroup, time);
-        this.parent = arc;
-        this.shadow = new THREE.Group();
-
-        this.connections = [];
+    load(events) {
+        this.events.push.apply(this.events, events);
+        this.events.sort((a, b) => a.time - b.time);
     }
 
-    export(offset = 0) {
-        return `arctap(${this.time + offset});`;
-    }
+    update() {
+        /** @type {GameplayManager} */
+        var gameplayManager = GameplayManager.instance;
+        var time = gameplayManager.timing - gameplayManager.audioManager.offset;
 
-    canBeRendered() {
-        return true;
-    }
+        var trackVisible = true;
+        var redline = 0;
+        var enwidenCamera = 0;
+        var enwidenLanes = 0;
+        var distort = 0;
+        var debris = 0;
 
-    destroy() {
-        GameplayManager.instance.game.scene.remove(this.gameObject);
-        GameplayManager.instance.game.scene.remove(this.shadow);
-        this.removeArcTapConnection();
-    }
+        /** @type {Map<TimingGroup, boolean>} */
+        var hiddenGroups = new Map();
 
-    rebuild() {
-        this.destroy();
-        this.gameObject = ArctapNote.newObject();
-        this.shadow = ArctapNote.newShadow();
-        GameplayManager.instance.game.scene.add(this.gameObject);
-        GameplayManager.instance.game.scene.add(this.shadow);
+        for(var i=0; i<this.events.length; ++i) {
+            var e = this.events[i];
+            if(e.time > time) break;
 
-        this.setupArcTapConnection();
-    }
+            var duration = e.getDuration();
+            var p = duration <= 0 ? 1 : Utils.clamp((time - e.time) / duration, 0, 1);
+            var active = time <= e.time + duration;
 
-    static newObject() {
-        var loader = new THREE.TextureLoader();
-        var texture = GameplayManager.instance.colorsOnly ? null : loader.load("./assets/textures/ArcTapLight.png");
-        if(texture) {
-            texture.anisotropy = 16;
+            switch(e.type) {
+                case "trackhide":
+                    trackVisible = false;
+                    break;
+                case "trackshow":
+                    trackVisible = true;
+                    break;
+                case "redline":
+                    if(active) redline = Math.abs(Math.sin(p * Math.PI * 4));
+                    break;
+                case "arcahvdistort":
+                    if(active) distort = e.getValue() * (1 - p);
+                    break;
+                case "arcahvdebris":
+                    if(active) debris = e.getValue() * (1 - p);
+                    break;
+                case "hidegroup":
+                    hiddenGroups.set(e.timingGroup, e.getValue() == 1);
+                    break;
+                case "enwidencamera":
+                    enwidenCamera = Utils.lerp(enwidenCamera, e.getValue() ? 1 : 0, p);
+                    break;
+                case "enwidenlanes":
+                    enwidenLanes = Utils.lerp(enwidenLanes, e.getValue() ? 1 : 0, p);
+                    break;
+            }
         }
 
-        var material = new THREE.MeshBasicMaterial({
-            color: GameplayManager.instance.colorsOnly ? 0xbeb6da : 0xffffff,
-            map: texture,
-            transparent: true,
-        });
-        var geometry = new THREE.BoxGeometry(1, 1);
+        this.trackVisible = trackVisible;
+        this.redline = redline;
+        this.enwidenCamera = enwidenCamera;
+        this.enwidenLanes = enwidenLanes;
 
-        /** @type {TObject3D} */
-        var obj = new THREE.Mesh(geometry, material);
-        obj.position.x = -ArcAlgorithm.arcXToWorld(-0.25);
-        obj.position.y = 0.11;
-        obj.position.z = -0.5;
-        obj.scale.x = 4.2746 * 0.95;
-        obj.scale.y = 0.8 * 0.95;
-        obj.scale.z = 0.8 * 0.95;
-        obj.setRotationFromEuler(new THREE.Euler(-90 / 180 * Math.PI, 0, 0));
-        return obj;
-    }
+        this.updateTrack();
+        this.updateArcs(distort, debris);
 
-    static newShadow() {
-        var material = new THREE.MeshBasicMaterial({
-            color: 0xaaaaaa,
-            transparent: true
+        GameplayManager.instance.game.groupObjects.forEach((obj, group) => {
+            obj.visible = !hiddenGroups.get(group);
         });
-        var geometry = new THREE.PlaneGeometry(1, 1);
-
-        /** @type {TObject3D} */
-        var obj = new THREE.Mesh(geometry, material);
-        obj.position.x = -ArcAlgorithm.arcXToWorld(-0.25);
-        obj.position.y = 0.11;
-        obj.position.z = -0.5;
-        obj.scale.x = 4.2746 * 0.95;
-        obj.scale.y = 0.8 * 0.95;
-        obj.scale.z = 0.8 * 0.95;
-        obj.setRotationFromEuler(new THREE.Euler(-90 / 180 * Math.PI, 0, 0));
-        return obj;
     }
 
-    setupArcTapConnection() {
-        var arc = this.parent;
-        if(!arc || (arc.endTime - arc.time) == 0) return;
-
-        var taps = TapNoteManager.instance.taps;
-        var sameTimeTaps = taps.filter(s => {
-            return Math.abs(s.time - this.time) < 1 && s.timingGroup == this.timingGroup
+    updateTrack() {
+        var game = GameplayManager.instance.game;
+        game.trackObjects.forEach(obj => {
+            obj.visible = this.trackVisible;
         });
 
-        sameTimeTaps.forEach(t => {
-            var material = new THREE.MeshBasicMaterial({
-                color: 0x78c8dc,
-                transparent: true
-            });
-            var p = (this.time - arc.time) / (arc.endTime - arc.time);
-            var posA = new Vector2(-ArcAlgorithm.arcXToWorld(ArcAlgorithm.resolveX(arc.start.x, arc.end.x, p, arc.lineType)), ArcAlgorithm.arcYToWorld(ArcAlgorithm.resolveY(arc.start.y, arc.end.y, p, arc.lineType)) - 0.5);
-            var posB = new Vector2(TapNoteManager.instance.lanes[t.lane - 1], 0.11);
-            
-            var geometry = new THREE.Geometry();
-            geometry.vertices.push(
-                new THREE.Vector3(posA.x - 0.1, posA.y, 0), 
-                new THREE.Vector3(posA.x + 0.1, posA.y, 0), 
-                new THREE.Vector3(posB.x - 0.1, posB.y, 0),
-                new THREE.Vector3(posB.x + 0.1, posB.y, 0),
-            );
-            var uv = [
-                new THREE.Vector2(0, 1),
-                new THREE.Vector2(1, 1),
-                new THREE.Vector2(0, 0),
-                new THREE.Vector2(1, 0)
-            ]
-            geometry.faces.push(
-                new THREE.Face3(0, 2, 1),
-                new THREE.Face3(1, 2, 3)
-            );
-            geometry.faceVertexUvs[0].push(
-                [uv[0], uv[2], uv[1]],
-                [uv[1], uv[2], uv[3]]
-            );
-
-            var line = new THREE.Mesh(geometry, material);
+        // The track is set up after the assets are preloaded.
+        var track = game.track;
+        if(!track) return;
 
-            this.connections.filter(c => {
-                return c.tap == t;
-            }).forEach(el => {
-                GameplayManager.instance.game.scene.remove(el.line);
-                var i = this.connections.indexOf(el);
-                if(i != -1) this.connections.splice(i, 1);
-            });
+        var tint = 1 - this.redline * 0.6;
+        track.material.color.setRGB(1, tint, tint);
 
-            GameplayManager.instance.game.scene.add(line);
-            this.connections.push({
-                line, tap: t
-            });
+        // The lanes 0 and 5 are added on both sides, so the track is 6 lanes wide instead of 4.
+        var widen = 1 + this.enwidenLanes * 0.5;
+        track.scale.x = GameBase.trackWidth * widen;
+        game.criticalLine.scale.x = GameBase.criticalLineWidth * widen;
+        game.enwidenDividers.forEach(obj => {
+            obj.visible = this.trackVisible && this.enwidenLanes > 0;
+            obj.material.opacity = obj.userData.opacity * this.enwidenLanes;
         });
     }
 
-    removeArcTapConnection() {
-        this.connections.forEach(el => {
-            GameplayManager.instance.game.scene.remove(el.line);
-            var i = this.connections.indexOf(el);
-            if(i != -1) this.connections.splice(i, 1);
+    /**
+     * @param {number} distort The intensity of `arcahvdistort`.
+     * @param {number} debris The intensity of `arcahvdebris`.
+     */
+    updateArcs(distort, debris) {
+        if(distort == 0 && debris == 0 && !this.arcsMoved) return;
+        this.arcsMoved = distort != 0 || debris != 0;
+
+        var time = GameplayManager.instance.timing;
+        ArcManager.instance.arcs.forEach(a => {
+            if(!a.gameObject) return;
+            a.gameObject.scale.x = 1 + Math.sin(time / 80) * distort * 0.1;
+            a.gameObject.position.x = SceneControlManager.getDebrisOffset(a) * debris * 0.2;
         });
     }
+
+    /**
+     * A pseudo-random offset between -0.5 and 0.5 of an arc for `arcahvdebris`, which stays the same across frames.
+     * @param {Arc} arc 
+     */
+    static getDebrisOffset(arc) {
+        var n = Math.sin(arc.time * 12.9898 + arc.start.x * 78.233 + arc.color * 37.719) * 43758.5453;
+        return n - Math.floor(n) - 0.5;
+    }
 }
+/** @type {SceneControlManager} */
+SceneControlManager.instance = null;
 
-class ArcSegment {
+class AudioManagerBase {
     constructor() {
-        /** @type {TGeometry} */
-        this.geometry = new THREE.Geometry();
-        /** @type {TGeometry} */
-        this.shadowGeometry = new THREE.Geometry();
-
-        this.fromPos = new Vector3(0, 0, 0);
-        this.toPos = new Vector3(0, 0, 0);
-        this.fromTiming = 0;
-        this.toTiming = 0;
-        
-        /** @type {TObject3D[]} */
-        this.objects = [new THREE.Object3D(), new THREE.Object3D()];
+        this.offset = 0;
+        this.timing = 0;
+        this.speed = 1;
+        this.isPlaying = false;
+        this.volume = 0.3;
+        this.loop = false;
 
-        this.enabled = true;
+        /**
+         * Increased by every seek, so `JudgementManager` can tell the seeks from the time moving by itself.
+         * `seekTime` is the time of the last seek in seconds.
+         */
+        this.seekCount = 0;
+        this.seekTime = 0;
 
-        this.from = 0;
+        /** @type {Map<string, any>} */
+        this.hitsounds = new Map();
+
+        Object.defineProperty(this, "semitoneOffset", {
+            get: () => {
+                return Math.log(this.speed) / Math.log(2) * 12;
+            },
+            set: (v) => {
+                this.setPlaybackRate(Math.pow(2, v / 12));
+            }
+        });
     }
 
-    build(fromPos, toPos, offset, from, to) {
-        this.fromTiming = from;
-        this.toTiming = to;
-        this.fromPos = fromPos;
-        this.toPos = toPos;
+    /**
+     * @param {string} url
+     * @param {number} offset 
+     */
+    async load(url, offset) {
+        throw new Error("This method was not implemented.");
+    }
 
-        if(fromPos.equals(toPos)) return;
+    play() {
+        throw new Error("This method was not implemented.");
+    }
 
-        var vertices = [];
-        var uv = [];
+    setPlaybackRate(speed) {
+        throw new Error("This method was not implemented.");
+    }
 
-        vertices[0] = fromPos.add(new Vector3(0, offset / 2, 0));
-        uv[0] = new THREE.Vector2(0, 0);
-        vertices[1] = toPos.add(new Vector3(0, offset / 2, 0));
-        uv[1] = new THREE.Vector2(0, 1);
-        vertices[2] = toPos.add(new Vector3(offset, -offset / 2, 0));
-        uv[2] = new THREE.Vector2(1, 1);
-        vertices[3] = fromPos.add(new Vector3(offset, -offset / 2, 0));
-        uv[3] = new THREE.Vector2(1, 0);
-        vertices[4] = toPos.add(new Vector3(-offset, -offset / 2, 0));
-        uv[4] = new THREE.Vector2(1, 1);
-        vertices[5] = fromPos.add(new Vector3(-offset, -offset / 2, 0));
-        uv[5] = new THREE.Vector2(1, 0);
-
-        this.geometry = new THREE.Geometry();
-        this.geometry.vertices.push.apply(this.geometry.vertices, vertices);
-        this.geometry.faces.push(
-            new THREE.Face3(0, 3, 2),
-            new THREE.Face3(0, 2, 1),
-            new THREE.Face3(0, 4, 5),
-            new THREE.Face3(0, 1, 4),
-        );
-
-        this.geometry.faceVertexUvs[0].push(
-            [uv[0], uv[3], uv[2]],
-            [uv[0], uv[2], uv[1]],
-            [uv[0], uv[4], uv[5]],
-            [uv[0], uv[1], uv[4]],
-        );
-        this.geometry.computeFaceNormals();
-        this.geometry.uvsNeedUpdate = true;
+    pause() {
+        throw new Error("This method was not implemented.");
+    }
 
-        var shadowUv = [];
-        shadowUv.push(
-            new THREE.Vector2(0, 0),
-            new THREE.Vector2(0, 1),
-            new THREE.Vector2(1, 1),
-            new THREE.Vector2(1, 0),
-        )
-        this.shadowGeometry = new THREE.Geometry();
-        this.shadowGeometry.vertices.push(
-            fromPos.add(new Vector3(-offset, -fromPos.y, 0)),
-            toPos.add(new Vector3(-offset, -toPos.y, 0)),
-            toPos.add(new Vector3(offset, -toPos.y, 0)),
-            fromPos.add(new Vector3(offset, -fromPos.y, 0))
-        );
-        this.shadowGeometry.faces.push(
-            new THREE.Face3(0, 2, 1),
-            new THREE.Face3(0, 3, 2)
-        );
-        this.shadowGeometry.faceVertexUvs[0].push(
-            [uv[0], uv[1], uv[2]],
-            [uv[0], uv[2], uv[3]],
-        );
-        this.shadowGeometry.computeFaceNormals();
-        this.shadowGeometry.uvsNeedUpdate = true;
+    stop() {
+        throw new Error("This method was not implemented.");
     }
 
-    destroy() {
-        this.geometry.dispose();
-        this.shadowGeometry.dispose();
+    setTime(time) {
+        throw new Error("This method was not implemented.");
     }
-}
 
-class ArcRenderer {
     /**
-     * 
-     * @param {Arc} arc 
+     * Records a seek to the given time in seconds. Called by `setTime`, and when seeking with the controls of the audio element.
+     * @param {number} time 
      */
-    constructor(arc) {
-        this.arc = arc;
+    markSeek(time) {
+        this.seekCount++;
+        this.seekTime = time;
+    }
 
-        /** @type {ArcSegment[]} */
-        this.segments = [];
-        this.enableHeightIndicator = true;
+    /**
+     * Records the seeks made with the controls of the audio element.
+     * The ones made by `setTime` are already recorded.
+     * @param {HTMLAudioElement} audioElem 
+     */
+    watchSeeks(audioElem) {
+        audioElem.addEventListener("seeking", e => {
+            var time = audioElem.currentTime;
+            if(Math.abs(time - this.seekTime) > 0.001) {
+                this.markSeek(time);
+            }
+        });
+    }
 
-        /** @type {TObject3D} */
-        this.heightIndicator = new THREE.Object3D();
-        this.segCount = 0;
-        this.color = new THREE.Color(0, 0, 0);
+    update() {
+        throw new Error("This method was not implemented.");
+    }
 
-        this.enableEffect = false;
-        this.enableArcCap = false;
-        this.highlight = false;
-        this.arcCap = null;
-        this.head = null;
+    length() {
+        throw new Error("This method was not implemented.");
     }
 
     /**
-     * 
-     * @param {Arc} arc 
+     * Loads a custom hitsound to be played with `playHitsound`.
+     * @param {string} name The file name of the hitsound, like `glass.wav`.
+     * @param {string} url 
      */
-    setArc(arc) {
-        this.arc = arc;
-        this.build();
+    async loadHitsound(name, url) {
+        throw new Error("This method was not implemented.");
     }
 
-    cleanSegments() {
-        this.segments.forEach(s => {
-            s.destroy();
-        });
-        this.segments = [];
+    /**
+     * @param {string} name The file name of the hitsound, like `glass.wav`.
+     */
+    playHitsound(name) {
+        throw new Error("This method was not implemented.");
     }
 
-    destroy() {
-        this.cleanSegments();
+    clearHitsounds() {
+        this.hitsounds.clear();
     }
+}
 
-    build() {
-        var group = new THREE.Group();
-        this.buildHeightIndicator();
-        this.buildSegments();
-        this.buildHead();
-        this.buildArcCap();
+class LegacyAudioManager extends AudioManagerBase {
+    /**
+     * @param {HTMLAudioElement} audioElem 
+     */
+    constructor(audioElem) {
+        super();
+        this.audioElem = audioElem || document.createElement("audio");
+        this.watchSeeks(this.audioElem);
 
-        var loader = new THREE.TextureLoader();
-        var sTexture = GameplayManager.instance.colorsOnly ? null : loader.load("./assets/textures/ArcBody.png");
-        var sMaterial = new THREE.MeshBasicMaterial({
-            color: this.color.getHex(),
-            opacity: this.arc.isVoid ? 0.4166 : 0.572549,
-            transparent: true,
-            map: sTexture,
-            clippingPlanes: [
-                new THREE.Plane( new THREE.Vector3( 0, 0, -1 ), 0),
-                new THREE.Plane( new THREE.Vector3( 0, 0, 1 ), 100)
-            ],
-            side: THREE.DoubleSide
+        Object.defineProperty(this, "isPlaying", {
+            get: () => {
+                return !this.audioElem.paused;
+            }
         });
-        var sdMaterial = new THREE.MeshBasicMaterial({
-            color: this.arc.isVoid ? 0xaaaaaa : 0x888888,
-            transparent: true,
-            opacity: 0,
-            clippingPlanes: [
-                new THREE.Plane( new THREE.Vector3( 0, 0, -1 ), 0),
-                new THREE.Plane( new THREE.Vector3( 0, 0, 1 ), 100)
-            ]
+        
+        Object.defineProperty(this, "volume", {
+            get: () => {
+                return this.audioElem.volume;
+            },
+            set: (v) => {
+                this.audioElem.volume = v;
+            }
         });
 
-        var segmentGroup = new THREE.Group();
-        var shadowGroup = new THREE.Group();
-
-        this.segments.forEach(s => {
-            try {
-                var sGeometry = s.geometry;
-                var sMesh = new THREE.Mesh(sGeometry, sMaterial.clone());
-                sMesh.renderOrder = 999;
-                segmentGroup.add(sMesh);
-                
-                var sdGeometry = s.shadowGeometry;
-                var sdMesh = new THREE.Mesh(sdGeometry, sdMaterial.clone());
-                shadowGroup.add(sdMesh);
-                sdMesh.renderOrder = 9;
-                sdMesh.position.set(0, 0.1, 0);
-
-                s.objects = [sMesh, sdMesh];
-            } catch(ex) {
-                console.warn(ex);
+        Object.defineProperty(this, "loop", {
+            get: () => {
+                return this.audioElem.loop;
+            },
+            set: (v) => {
+                this.audioElem.loop = v;
             }
         });
-
-        if(!this.arc.isVoid) group.add(this.heightIndicator);
-        group.add(this.head, this.arcCap);
-        group.add(segmentGroup, shadowGroup);
-        this.arc.gameObject = group;
     }
 
-    buildArcCap() {
-        var arc = this.arc;
-
-        var loader = new THREE.TextureLoader();
-        var cTexture = GameplayManager.instance.colorsOnly ? null : loader.load("./assets/textures/ArcCap.png");
-        var plane = new THREE.PlaneGeometry(2.5, 2.5);
-        var cMaterial = new THREE.MeshBasicMaterial({
-            color: GameplayManager.instance.colorsOnly ? 0x6c526f : 0xffffff,
-            map: cTexture,
-            transparent: true,
-            opacity: 1
-        });
-
-        var obj = new THREE.Mesh(plane, cMaterial);
-        obj.renderOrder = 1000;
-        obj.position.set(-ArcAlgorithm.arcXToWorld(arc.start.x), 0, 0);
-        if(GameplayManager.instance.colorsOnly) {
-            obj.setRotationFromEuler(new THREE.Euler(0, 0, Math.PI / 4));
-        }
-        this.arcCap = obj;
-        obj.renderOrder = 10010;
+    length() {
+        return this.audioElem.duration;
     }
 
-    buildHeightIndicator() {
-        var arc = this.arc;
-        if(arc.isVoid) {
-            this.enableHeightIndicator = false;
-            return;
-        }
-
-        var loader = new THREE.TextureLoader();
-        var hTexture = GameplayManager.instance.colorsOnly ? null: loader.load("./assets/textures/HeightIndicator.png");
-        var plane = new THREE.PlaneGeometry();
-        var hMaterial = new THREE.MeshBasicMaterial({
-            color: ArcRenderer.colors[arc.color].getHex(),
-            map: hTexture,
-            transparent: true,
-            side: THREE.DoubleSide,
-            opacity: 0.572549,
-            clippingPlanes: [
-                new THREE.Plane( new THREE.Vector3( 0, 0, -1 ), 0)
-            ]
-        });
-
-        var obj = new THREE.Mesh(plane, hMaterial);
-        obj.renderOrder = 1000;
-        obj.position.set(-ArcAlgorithm.arcXToWorld(arc.start.x), 0, 0);
-        obj.scale.set(GameplayManager.instance.colorsOnly ? 0.4 : 2.34, 2 * (ArcAlgorithm.arcYToWorld(arc.start.y) - ArcRenderer.offsetNormal / 2), 1);
-        this.heightIndicator = obj;
+    /**
+     * @param {string} url The path to the audio file.
+     * @param {number} offset Audio offset in milliseconds.
+     */
+    load(url, offset) {
+        this.offset = offset;
+        return new Promise((resolve, reject) => {
+            this.audioElem.src = url;
+            this.audioElem.addEventListener("loadeddata", e => {
+                resolve();
+            });
+        })
     }
 
-    buildSegments() {
-        var arc = this.arc;
-        if(!arc) return;
-
-        var g = arc.timingGroup;
-        var offset = GameplayManager.instance.audioManager.offset;
-        var duration = arc.endTime - arc.time;
-
-        var v1 = duration < 1000 ? 14 : 7;
-        var v2 = duration == 0 ? 0 : 1 / (v1 * duration / 1000);
-        var segSize = Math.floor(duration * v2);
-        this.segCount = Math.floor(segSize == 0 ? 0 : duration / segSize) + 1;
-
-        this.instantiateSegments(this.segCount);
-
-        var start = new Vector3();
-        var end = new Vector3(
-            -ArcAlgorithm.arcXToWorld(arc.start.x),
-            ArcAlgorithm.arcYToWorld(arc.start.y)
-        );
-
-        for(var i=0; i<this.segCount-1; i++) {
-            start = end;
-            end = new Vector3(
-                -ArcAlgorithm.arcXToWorld(ArcAlgorithm.resolveX(arc.start.x, arc.end.x, (i + 1) * segSize / duration, arc.lineType)),
-                ArcAlgorithm.arcYToWorld(ArcAlgorithm.resolveY(arc.start.y, arc.end.y, (i + 1) * segSize / duration, arc.lineType)),
-                -g.getPosByTimingWithStart(arc.time + offset, arc.time + offset + segSize * (i + 1)) / 1000
-            );
-            this.segments[i].build(start, end, arc.isVoid ? ArcRenderer.offsetVoid : ArcRenderer.offsetNormal, arc.time + segSize * i, arc.time + segSize * (i + 1));
-        }
-
-        start = end;
-        end = new Vector3(
-            -ArcAlgorithm.arcXToWorld(arc.end.x),
-            ArcAlgorithm.arcYToWorld(arc.end.y),
-            -g.getPosByTimingWithStart(arc.time + offset, arc.endTime + offset) / 1000
-        );
-        if(this.segments.length == 0) {
-            console.log(this);
-        }
-        this.segments[this.segCount - 1].build(start, end, arc.isVoid ? ArcRenderer.offsetVoid : ArcRenderer.offsetNormal, arc.time + segSize * (this.segCount - 1), arc.endTime);
-
-        this.color = arc.isVoid ? ArcRenderer.arcVoid : ArcRenderer.colors[arc.color];
+    play() {
+        this.audioElem.play();
     }
 
-    buildHead() {
-        var arc = this.arc;
-        var pos = new Vector3(-ArcAlgorithm.arcXToWorld(arc.start.x), ArcAlgorithm.arcYToWorld(arc.start.y));
-        var offset = arc.isVoid ? ArcRenderer.offsetVoid : ArcRenderer.offsetNormal;
-
-        var vertices = [];
-        var uv = [];
-
-        vertices.push(
-            pos.add(new Vector3(0, offset / 2, 0)),
-            pos.add(new Vector3(offset, -offset / 2, 0)),
-            pos.add(new Vector3(0, -offset / 2, offset / 2)),
-            pos.add(new Vector3(-offset, -offset / 2, 0)),
-        );
-
-        uv.push(
-            new THREE.Vector2(),
-            new THREE.Vector2(1, 0),
-            new THREE.Vector2(1, 1),
-            new THREE.Vector2(1, 1)
-        );
-
-        var g = this.headGeometry = new THREE.Geometry();
-        g.vertices.push.apply(g.vertices, vertices);
-        g.faces.push(
-            new THREE.Face3(0, 2, 1),
-            new THREE.Face3(0, 3, 2),
-            new THREE.Face3(0, 1, 2),
-            new THREE.Face3(0, 2, 3)
-        );
-        g.faceVertexUvs[0].push(
-            [uv[0], uv[2], uv[1]],
-            [uv[0], uv[3], uv[2]],
-            [uv[0], uv[1], uv[2]],
-            [uv[0], uv[2], uv[3]]
-        );
-        g.computeFaceNormals();
-
-        var loader = new THREE.TextureLoader();
-        var sTexture = GameplayManager.instance.colorsOnly ? null: loader.load("./assets/textures/ArcBody.png");
-        var sMaterial = new THREE.MeshBasicMaterial({
-            color: this.color.getHex(),
-            opacity: this.arc.isVoid ? 0.4166 : 0.572549,
-            transparent: true,
-            side: THREE.DoubleSide,
-            map: sTexture,
-            clippingPlanes: [
-                new THREE.Plane( new THREE.Vector3( 0, 0, -1 ), 0)
-            ]
-        });
-        this.head = new THREE.Mesh(g, sMaterial);
+    setPlaybackRate(speed) {
+        this.speed = speed;
+        this.audioElem.playbackRate = speed;
     }
 
-    update() {
-        this.updateHead();
-        this.updateSegments();
-        this.updateHeightIndicator();
-        this.updateArcCap();
-
-        this.arcCap.visible = this.enableArcCap;
-        this.heightIndicator.visible = this.enableArcCap;
+    pause() {
+        this.audioElem.pause();
     }
 
-    updateSegments() {
-        var arc = this.arc;
-        var currentTime = GameplayManager.instance.timing;
-        var g = arc.timingGroup;
-        var offset = GameplayManager.instance.audioManager.offset;
-        var z = arc.gameObject.position.z;
-        var alpha = arc.isVoid ? 0.4166 : 0.572549;
-
-        for(var i=0; i<this.segments.length; i++) {
-            var s = this.segments[i];
-
-            if(-s.toPos.z < z) {
-                if(arc.judging || arc.isVoid) {
-                    s.enabled = false;
-                    continue;
-                } else {
-                    s.enabled = true;
-                    continue;
-                }
-            }
-
-            if(-s.fromPos.z < z && -s.toPos.z >= z) {
-                s.enabled = true;
-                s.objects[0].material.opacity = alpha;
-                s.objects[1].material.opacity = alpha;
-
-                if(arc.judging || arc.isVoid) {
-                    s.from = (z + s.fromPos.z) / (-s.toPos.z + s.fromPos.z);
-                } else {
-                    s.from = 0;
-                }
-                continue;
-            }
-
-            var pos = -(z + s.fromPos.z);
-            if(pos > 90 && pos < 100) {
-                s.enabled = true;
-                s.from = 0;
-                s.objects[0].material.opacity = alpha * (100 - pos) / 10;
-                s.objects[1].material.opacity = alpha * (100 - pos) / 10;
-            } else if(pos > 100 || pos < -20) {
-                s.enabled = false;
-            } else {
-                s.enabled = true;
-                s.objects[0].material.opacity = alpha;
-                s.objects[1].material.opacity = alpha;
-                s.from = 0;
-            }
-        }
+    stop() {
+        this.audioElem.stop();
     }
 
-    updateHead() {
-        this.head.visible = this.arc.renderHead;
+    setTime(time) {
+        this.markSeek(time);
+        this.audioElem.currentTime = time;
     }
 
-    updateHeightIndicator() {
-        var arc = this.arc;
-        if(arc.isVoid || (arc.end.y == arc.start.y)) {
-            this.enableHeightIndicator = false;
-            return;
-        }
-
-        var pos = arc.gameObject.position.z;
-        var currentTime = GameplayManager.instance.timing;
-        if(pos < -90 && pos > -100) {
-            var alpha = arc.isVoid ? 0.4166 : 0.572549;
-            this.heightIndicator.material.opacity = alpha * (pos + 100) / 10;
-            this.enableHeightIndicator = true;
-        } else if(pos < -100 || pos > 10) {
-            this.enableHeightIndicator = false;
-        } else {
-            if(arc.judging && pos > 0) {
-                this.enableHeightIndicator = false;
-            } else {
-                this.enableHeightIndicator = true;
-            }
-            this.heightIndicator.material.color = this.color;
-        }
+    update() {
+        this.timing = Utils.lerp(this.timing, this.audioElem.currentTime, this.isPlaying ? 1 : GameplayManager.instance.deltaTime / 120);
     }
 
-    updateArcCap() {
-        var arc = this.arc;
-        var currentTime = GameplayManager.instance.timing;
-        var duration = arc.endTime - arc.time;
-        var offset = GameplayManager.instance.audioManager.offset;
-
-        if(duration == 0) {
-            this.enableArcCap = false;
-            return;
-        }
-
-        if(arc.position > 0 && arc.position < 100000) {
-            if(arc.renderHead && !arc.isVoid) {
-                var p = 1 - arc.position / 100000;
-                var scale = 0.35 + 0.5 * (1 - p) * (GameplayManager.instance.colorsOnly ? 0.7 : 1);
-                this.enableArcCap = true;
-                
-                var a = this.arcCap;
-                a.material.opacity = p;
-                a.scale.set(scale, scale, 1);
-
-                a.position.set(-ArcAlgorithm.arcXToWorld(arc.start.x), ArcAlgorithm.arcYToWorld(arc.start.y), -a.parent.position.z + 0.01);
-            } else {
-                this.enableArcCap = false;
-            }
-        } else if(arc.position < 0 && arc.endPosition > 0) {
-            this.enableArcCap = true;
-            
-            var a = this.arcCap;
-            a.material.opacity = arc.isVoid ? 0.5 : 1;
-            var scale = arc.isVoid ? 0.21 : 0.35 * (GameplayManager.instance.colorsOnly ? 0.7 : 1);
-            a.scale.set(scale, scale, 1);
-
-            var doBreak = false;
-            this.segments.forEach(s => {
-                if(doBreak) return;
-                if(arc.position / 1000 < s.fromPos.z && arc.position / 1000 >= s.toPos.z) {
-                    var t = (s.fromPos.z - arc.position / 1000) / (s.fromPos.z - s.toPos.z);
-                    a.position.set(
-                        s.fromPos.x + (s.toPos.x - s.fromPos.x) * t,
-                        s.fromPos.y + (s.toPos.y - s.fromPos.y) * t,
-                        -a.parent.position.z + 0.01
-                    );
-                    if(!arc.isVoid) {
-                        ArcManager.instance.arcJudgePos += a.position.x;
-                    }
-                    doBreak = true;
-                    return;
-                }
-            });
-        } else {
-            this.enableArcCap = false;
-        }
+    loadHitsound(name, url) {
+        return new Promise((resolve, reject) => {
+            var audio = new Audio(url);
+            audio.preload = "auto";
+            audio.addEventListener("canplaythrough", e => {
+                this.hitsounds.set(name, audio);
+                resolve();
+            }, { once: true });
+            audio.addEventListener("error", e => {
+                reject(new Error(`Couldn't load the hitsound ${name}.`));
+            }, { once: true });
+        });
     }
 
+    playHitsound(name) {
+        /** @type {HTMLAudioElement} */
+        var audio = this.hitsounds.get(name);
+        if(!audio) return;
 
-    /**
-     * 
-     * @param {number} quantity 
-     */
-    instantiateSegments(quantity) {
-        var count = this.segments.length;
-        if(count == quantity) return;
-
-        if(count < quantity) {
-            for(var i=0; i<quantity-count; i++) {
-                this.segments.push(new ArcSegment());
-            }
-        } else {
-            for(var i=0; i<count-quantity; i++) {
-                this.segments.splice(this.segments.length - 1, 1);
-            }
-        }
-
-        // Unity: SetAsLastSibling();
+        var clone = audio.cloneNode();
+        clone.volume = this.volume;
+        clone.play();
     }
 }
 
-ArcRenderer.offsetNormal = 0.9;
-ArcRenderer.offsetVoid = 0.15;
-
-ArcRenderer.arcVoid = new THREE.Color(0.5686275, 0.4705882, 0.6666667); // a = 0.4166f;
-ArcRenderer.arcRed = new THREE.Color(1, 0.5882353, 0.8627451); // a = 0.572549f;
-ArcRenderer.arcGreen = new THREE.Color(0, 1, 0.4759281); // a = 0.572549f;
-ArcRenderer.arcBlue = new THREE.Color(0.04705882, 0.8313726, 0.8313726); // a = 0.572549f;
-
-ArcRenderer.colors = [
-    ArcRenderer.arcBlue,
-    ArcRenderer.arcRed,
-    ArcRenderer.arcGreen
-]
-
-class Arc extends ArcaeaJudgableEvent {
-    /**
-     * @param {TimingGroup} timingGroup
-     * @param {number} time 
-     * @param {number} endTime 
-     * @param {number} xStart 
-     * @param {number} xEnd 
-     * @param {ArcLineType} lineType 
-     * @param {number} yStart 
-     * @param {number} yEnd 
-     * @param {ArcLineColor} color 
-     * @param {boolean} isVoid 
-     */
-    constructor(timingGroup, time, endTime, xStart, xEnd, lineType, yStart, yEnd, color, isVoid) {
-        super(timingGroup, time);
-
-        this.endTime = endTime;
-        this.start = new Vector2(xStart, yStart);
-        this.end = new Vector2(xEnd, yEnd);
-        this.lineType = lineType;
-        this.color = color;
-        this.isVoid = isVoid;
-
-        /** @type {ArctapNote[]} */
-        this.arcTaps = [];
-
-        /** @type {Arc[]} */
-        this.arcGroup = [];
-
-        /** @type {number[]} */
-        this.judgeTimings = [];
-
-        this.endPosition = 0;
-        this.renderHead = true;
-        this.flag = false;
-        this.flashCount = 0;
-        this.audioPlayed = false;
-        this.shouldPlayAudio = false;
-
-        this.arcRenderer = new ArcRenderer(this);
-    }
-
-    export(offset = 0) {
-        var line = `arc(${this.time + offset},${this.endTime + offset},${Utils.numTo2f(this.start.x)},${Utils.numTo2f(this.end.x)}`
-            + `,${this.lineType},${Utils.numTo2f(this.start.y)},${Utils.numTo2f(this.end.y)},${this.color},none,${this.isVoid})`;
-
-        if(this.arcTaps.length == 0) {
-            return line + ";";
-        }
-        return line + "[" + this.arcTaps.map(t => {
-            var l = t.export(offset);
-            return l.substring(l, l.length - 1);
-        }).join(",") + "];";
-    }
-
-    canBeRendered() {
-        return true;
-    }
-
+class AudioManager extends AudioManagerBase {
     /**
-     * @param {string} line 
-     * @param {TimingGroup} timingGroup
+     * @param {HTMLAudioElement} audioElem 
      */
-    static fromRaw(line, timingGroup) {
-        if(!line.startsWith("arc")) {
-            throw new AffFormatError("The given data doesn't represent an arc.");
-        }
-        var regex = /arc\((\d+?),(\d+?),(.*?),(.*?),(.*?),(.*?),(.*?),(.*?),(.*?),(.*?)\)(?:\[(.*?)\])?;/;
-        var event = line.match(regex);
-
-        var arc = new Arc(
-            timingGroup,
-            parseInt(event[1]),     // time
-            parseInt(event[2]),     // endTime
-            parseFloat(event[3]),   // xStart
-            parseFloat(event[4]),   // xEnd
-            event[5],               // lineType
-            parseFloat(event[6]),   // yStart
-            parseFloat(event[7]),   // yEnd
-            parseInt(event[8]),     // color
-            event[10] == "true"     // isVoid
-        );
-
-        var arctaps = event[11];
-        if(arctaps) {
-            var t = arctaps.split(",");
-            t.forEach(n => {
-                arc.arcTaps.push(new ArctapNote(
-                    timingGroup, parseInt(n.substring("arctap(".length, n.length - 1)), arc
-                ));
-            });
-        }
-
-        return arc;
-    }
-
-    static newObject() {
-        var group = new THREE.Group();
-        return group;
-    }
+    constructor(audioElem) {
+        super();
+        var ctx = this.context = new AudioContext();
+        
+        this.audioElem = audioElem;
+        var en = ctx.createMediaElementSource(audioElem);
+        var eg = ctx.createGain();
+        eg.gain.value = 0;
+        en.connect(eg).connect(ctx.destination);
 
-    destroy() {
-        this.arcRenderer.destroy();
-        GameplayManager.instance.game.scene.remove(this.gameObject);
+        audioElem.addEventListener("play", e => {
+            if(!this.audioSource) {
+                audioElem.pause();
+                return;
+            }
+            this.play();
+        });
 
-        this.arcTaps.forEach(t => {
-            t.destroy();
+        audioElem.addEventListener("pause", e => {
+            if(!this.audioSource) {
+                return;
+            }
+            this.pause();
         });
-    }
 
-    calculateJudgeTimings() {
-        this.judgeTimings = [];
-        if(this.isVoid) return;
-        if(this.endTime == this.time) return;
+        this.watchSeeks(audioElem);
 
-        var u = this.renderHead ? 0 : 1;
-        var g = this.timingGroup;
-        var bpm = g.getBpmByTiming(this.time);
-        if(bpm <= 0) return;
+        /** @type {AudioBufferSourceNode} */
+        this.audioSource = null;
 
-        var interval = 60000 / bpm / (bpm >= 255 ? 1 : 2);
-        var total = Math.floor((this.endTime - this.time) / interval);
-        if((u ^ 1) >= total) {
-            this.judgeTimings.push(Math.floor(this.time + (this.endTime - this.time) * 0.5));
-            return;
-        }
+        var gain = this.gainNode = ctx.createGain();
+        gain.gain.value = 1;
+        gain.connect(ctx.destination);
 
-        var n = u ^ 1;
-        while(true) {
-            var t = Math.floor(this.time + n * interval);
-            if(t < this.endTime) {
-                this.judgeTimings.push(t);
+        Object.defineProperty(this, "volume", {
+            get: () => {
+                return gain.gain.value;
+            },
+            set: (v) => {
+                gain.gain.value = v;
             }
-            if(total == ++n) break;
-        }
-    }
-
-    rebuild() {
-        this.destroy();
-        this.arcRenderer.cleanSegments();
-        this.arcRenderer.build();
-        this.arcTaps.forEach(t => {
-            t.rebuild();
         });
-        GameplayManager.instance.game.scene.add(this.gameObject);
-    }
-}
 
-class TimingEvent extends ArcaeaEvent {
-    /**
-     * @param {TimingGroup} timingGroup
-     * @param {number} time 
-     * @param {number} bpm 
-     * @param {number} beatsPerLine 
-     */
-    constructor(timingGroup, time, bpm, beatsPerLine) {
-        super(timingGroup, time);
-        this.bpm = bpm;
-        this.beatsPerLine = beatsPerLine;
-    }
-
-    /**
-     * @param {string} line 
-     * @param {TimingGroup} timingGroup
-     */
-    static fromRaw(line, timingGroup) {
-        var result = line.match(/timing\((.*?),(.*?),(.*?)\)/);
-        return new TimingEvent(timingGroup, parseInt(result[1]), parseFloat(result[2]), parseFloat(result[3]));
+        Object.defineProperty(this, "loop", {
+            get: () => {
+                return this.audioElem.loop;
+            },
+            set: (v) => {
+                this.audioSource.loop = v;
+                this.audioElem.loop = v;
+            }
+        });
     }
 
-    export(offset = 0) {
-        return `timing(${this.time + offset},${Utils.numTo2f(this.bpm)},${Utils.numTo2f(this.beatsPerLine)});`;
+    length() {
+        if(!this.audioSource) return 0;
+        var b = this.audioSource.buffer;
+        return b.length / b.sampleRate;
     }
-}
 
-class CameraEvent extends ArcaeaEvent {
     /**
-     * @param {TimingGroup} timingGroup
-     * @param {number} time 
-     * @param {number} tx 
-     * @param {number} ty 
-     * @param {number} tz 
-     * @param {number} rx 
-     * @param {number} ry 
-     * @param {number} rz 
-     * @param {ArcCameraType} type 
-     * @param {number} duration 
+     * 
+     * @param {ArrayBuffer} buffer 
      */
-    constructor(timingGroup, time, tx, ty, tz, rx, ry, rz, type, duration) {
-        super(timingGroup, time);
-
-        this.translation = new Vector3(tx, ty, tz);
-        this.rotation = new Vector3(rx, ry, rz);
-        this.type = type;
-        this.duration = duration;
-
-        this.percent = 0;
+    async decode(buffer) {
+        var b = await this.context.decodeAudioData(buffer);
+        return b;
     }
 
     /**
      * 
-     * @param {number} timing 
+     * @param {string} url
+     * @param {number} offset 
      */
-    update(timing) {
-        if(timing > this.time + this.duration) {
-            this.percent = 1;
-            return;
-        }
-        if(timing < this.time) {
-            this.percent = 0;
-            return;
+    async load(url, offset) {
+        this.stop();
+        if(this.audioSource) {
+            this.audioSource.disconnect();
+            this.audioSource.buffer = null;
         }
+        this.audioSource = null;
 
-        this.percent = Utils.clamp((timing - this.time) / this.duration, 0, 1);
-        switch(this.type) {
-            case "qi":
-                this.percent = ArcAlgorithm.qi(this.percent);
-                break;
-            case "qo":
-                this.percent = ArcAlgorithm.qo(this.percent);
-                break;
-            case "s":
-                this.percent = ArcAlgorithm.s(0, 1, this.percent);
-                break;
-        }
+        this.audioElem.src = url;
+        this.loadBuffer(await AssetManager.instance.loadAudio(url, buf => this.decode(buf)), offset);
     }
 
-    /**
-     * @param {string} line 
-     * @param {TimingGroup} timingGroup
-     */
-    static fromRaw(line, timingGroup) {
-        var result = line.match(/camera\((.*?),(.*?),(.*?),(.*?),(.*?),(.*?),(.*?),(.*?),(.*?)\)/);
-        return new CameraEvent(
-            timingGroup,
-            parseInt(result[1]),
-            parseFloat(result[2]), parseFloat(result[3]), parseFloat(result[4]),
-            parseFloat(result[5]), parseFloat(result[6]), parseFloat(result[7]),
-            result[8], parseInt(result[9]),
-        );
+    async loadHitsound(name, url) {
+        try {
+            this.hitsounds.set(name, await AssetManager.instance.loadAudio(url, buf => this.decode(buf), true));
+        } catch(ex) {
+            throw new Error(`Couldn't load the hitsound ${name}.`);
+        }
     }
 
-    export(offset = 0) {
-        var tx = this.translation.x;
-        var ty = this.translation.y;
-        var tz = this.translation.z;
-        var rx = this.rotation.x;
-        var ry = this.rotation.y;
-        var rz = this.rotation.z;
+    playHitsound(name) {
+        var buffer = this.hitsounds.get(name);
+        if(!buffer) return;
 
-        return `camera(${this.time + offset},${tx},${ty},${tz},${rx},${ry},${rz},${this.type},${this.duration});`;
+        var src = this.context.createBufferSource();
+        src.buffer = buffer;
+        src.connect(this.gainNode);
+        src.start(0);
     }
-}
 
-class TimingManager {
-    constructor() {
-        TimingManager.instance = this;
-        this.dropRate = 100;
+    /**
+     * 
+     * @param {AudioBuffer} buffer 
+     * @param {number} offset 
+     */
+    loadBuffer(buffer, offset) {
+        this.offset = offset;
+        var src = this.context.createBufferSource();
+        src.buffer = buffer;
+        src.loop = this.loop;
+        src.connect(this.gainNode);
 
-        /** @type {TimingGroup} */
-        this.timingGroup = null;
+        if(this.audioSource && this.isPlaying) this.audioSource.stop();
+        this.isPlaying = false;
+        this.audioSource = src;
+    }
 
-        /** @type {TimingEvent[]} */
-        this.timings = [];
+    play() {
+        if(!this.audioSource) return;
 
-        /** @type {TObject3D[]} */
-        this.beatlines = [];
+        if(this.timing >= this.length()) {
+            this.setTime(0);
+        }
 
-        this.beatlineTimings = [];
+        if(this.audioElem.paused) {
+            this.audioElem.play()
+        }
+        this.timing = this.audioElem.currentTime;
+        this.audioSource.playbackRate.value = this.speed;
+        this.audioSource.start(0, this.timing);
+        this.isPlaying = true;
     }
 
-    clean() {
-        this.timingGroup = null;
-        this.timings = [];
-        this.beatlineTimings = [];
-        this.hideExceededBeatlines(0);
+    setPlaybackRate(speed) {
+        this.speed = speed;
+        this.audioElem.playbackRate = speed;
+        if(this.isPlaying) {
+            this.audioSource.playbackRate.value = speed;
+        }
     }
 
-    getBeatline(index) {
-        while(this.beatlines.length < index + 1) {
-            var bGeometry = new THREE.PlaneGeometry();
-            var bMaterial = new THREE.MeshBasicMaterial({
-                color: 0xaaaaaa
-            });
-            var line = new THREE.Mesh(bGeometry, bMaterial);
-            line.scale.set(17.1, 0.2, 1);
-            line.setRotationFromEuler(new THREE.Euler(-90 / 180 * Math.PI, 0, 0));
-            GameplayManager.instance.game.scene.add(line);
-            this.beatlines.push(line);
+    pause() {
+        if(!this.audioElem.paused) {
+            this.audioElem.pause()
         }
-        return this.beatlines[index];
-    }
 
-    hideExceededBeatlines(quantity) {
-        var count = this.beatlines.length;
-        while(count > quantity) {
-            this.beatlines[count - 1].visible = false;
-            count--;
+        if(this.audioSource) {
+            try {
+                this.audioSource.stop();
+            } catch(ex) { }
+            this.isPlaying = false;
+            this.loadBuffer(this.audioSource.buffer, this.offset);
+        } else {
+            this.isPlaying = false;
         }
     }
 
-    /**
-     * @param {TimingGroup} timingGroup
-     * @param {TimingEvent[]} timings
-     */
-    load(timingGroup, timings) {
-        this.timingGroup = timingGroup;
-        this.timings = timings;
-        this.calculateBeatlineTimes();
+    stop() {
+        this.pause();
+        this.timing = 0;
     }
 
-    calculateBeatlineTimes() {
-        this.beatlineTimings = [];
-        this.hideExceededBeatlines(0);
-        var timings = this.timings;
-
-        for(var i=0; i<timings.length-1; ++i) {
-            var segment = timings[i].bpm == 0 ? (timings[i+1].time - timings[i].time) : (60000 / Math.abs(timings[i].bpm) * timings[i].beatsPerLine);
-            if(segment == 0) continue;
+    setTime(time) {
+        var playing = this.isPlaying;
+        if(playing) {
+            this.pause();
+        }
+        this.markSeek(time);
+        this.timing = time;
+        this.audioElem.currentTime = time;
 
-            var n = 0;
-            while(true) {
-                var j = timings[i].time + (n++) * segment;
-                if(j >= timings[i + 1].time) {
-                    break;
-                }
-                this.beatlineTimings.push(j);
-            }
+        if(playing) {
+            this.play();
         }
+    }
 
-        if(timings.length >= 1) {
-            var segmentsRemain = timings[timings.length - 1].bpm == 0 ? (GameplayManager.instance.length - timings[timings.length - 1].time)
-                : 60000 / Math.abs(timings[timings.length - 1].bpm) * timings[timings.length - 1].beatsPerLine;
-            
-            if(segmentsRemain != 0) {
-                var n = 0;
-                var j = timings[timings.length - 1].time;
-                while(j < GameplayManager.instance.length) {
-                    j = timings[timings.length - 1].time + (n++) * segmentsRemain;
-                    this.beatlineTimings.push(j);
-                }
-            }
+    update() {
+        if(this.audioSource) {
+            this.audioSource.loop = this.loop;
         }
 
-        if(timings.length >= 1 && timings[0].bpm != 0 && timings[0].beatsPerLine != 0) {
-            var t = 0;
-            var delta = 60000 / Math.abs(timings[0].bpm) * timings[0].beatsPerLine;
-            var n = 0;
-            if(delta != 0) {
-                while(t >= -3000) {
-                    t = -(++n) * delta;
-                    this.beatlineTimings.unshift(t);
+        if(this.isPlaying) {
+            this.timing += GameplayManager.instance.deltaTime / 1000 * this.speed;
+            
+            if(this.timing >= this.length()) {
+                if(this.loop) {
+                    this.timing -= this.length();
+                } else {
+                    this.isPlaying = false;
                 }
             }
+        } else {
+            this.timing = Utils.lerp(this.timing, this.audioElem.currentTime, GameplayManager.instance.deltaTime / 120);
         }
     }
+}
 
-    updateBeatline() {
-        var index = 0;
-        var offset = GameplayManager.instance.audioManager.offset;
+/**
+ * Loads the textures, fonts and audio files once and keeps them for the later uses.
+ * 
+ * The textures which failed to load are remembered and given as `null`,
+ * so the materials fall back to plain colors like `colorsOnly` does.
+ */
+class AssetManager {
+    constructor() {
+        AssetManager.instance = this;
+        this.loader = new THREE.TextureLoader();
 
-        this.beatlineTimings.forEach(t => {
-            var z = this.timingGroup.getPosByTiming(Math.floor(t + offset)) / 1000;
-            if(z < 0 || z > 100) {
-                return;
-            }
+        /** @type {Map<string, TTexture>} */
+        this.textures = new Map();
 
-            var line = this.getBeatline(index);
-            line.visible = true;
-            line.position.set(0, 0.1, -z);
-            line.scale.y = 0.2 + z * 0.01;
-            index++;
-        });
-        this.hideExceededBeatlines(index);
+        /** @type {Map<string, Promise<TTexture | null>>} */
+        this.textureRequests = new Map();
+
+        /**
+         * The hitsounds, which are small and reused across the charts. The songs are not kept.
+         * @type {Map<string, Promise<AudioBuffer>>}
+         */
+        this.audioRequests = new Map();
+
+        /** @type {Map<string, Promise<void>>} */
+        this.fontRequests = new Map();
+
+        /** @type {Set<string>} */
+        this.failed = new Set();
+
+        this.total = 0;
+        this.loaded = 0;
     }
 
-    update() {
-        if(this.timingGroup == null) return;
-        this.updateBeatline();
+    /**
+     * Loads the textures and fonts used by the scene and the notes.
+     * Resolves when every one of them is loaded or has failed.
+     */
+    preload() {
+        var requests = AssetManager.fonts.map(f => this.loadFont(f));
+        if(!GameplayManager.instance.colorsOnly) {
+            AssetManager.textures.forEach(t => {
+                requests.push(this.loadTexture(t));
+            });
+        }
+        return Promise.all(requests);
     }
-}
-/** @type {TimingManager} */
-TimingManager.instance = null;
 
-class CameraManager {
-    constructor(camera) {
-        CameraManager.instance = this;
-        this.camera = camera;
-        this.isReset = true;
-        this.currentTilt = 0;
-        /** @type {CameraEvent[]} */
-        this.cameraEvents = [];
+    /**
+     * @param {string} name The file name in `./assets/textures/`, like `TapNote.png`.
+     * @returns {Promise<TTexture | null>} `null` if the texture failed to load.
+     */
+    loadTexture(name) {
+        if(this.textureRequests.has(name)) {
+            return this.textureRequests.get(name);
+        }
 
-        this.isForce4By3 = false;
+        var request = this.trackProgress(new Promise(resolve => {
+            var texture = this.loader.load(AssetManager.textureRoot + name, () => {
+                resolve(texture);
+            }, undefined, () => {
+                console.warn(`Couldn't load the texture ${name}, using plain colors instead.`);
+                this.textures.delete(name);
+                this.failed.add(name);
+                resolve(null);
+            });
+            this.textures.set(name, texture);
+        }));
+        this.textureRequests.set(name, request);
+        return request;
     }
 
-    clean() {
-        this.cameraEvents = [];
+    /**
+     * Gets a texture for a material. It starts loading if it wasn't preloaded.
+     * @param {string} name The file name in `./assets/textures/`, like `TapNote.png`.
+     * @returns {TTexture | null} `null` in `colorsOnly` mode or if the texture failed to load.
+     */
+    getTexture(name) {
+        if(GameplayManager.instance.colorsOnly || this.failed.has(name)) return null;
+        if(!this.textures.has(name)) {
+            this.loadTexture(name);
+        }
+        return this.textures.get(name) || null;
     }
 
     /**
-     * @param {CameraEvent[]} cameras 
+     * Loads a font declared by `@font-face` in the stylesheet.
+     * @param {string} font A CSS font shorthand, like `300 115px Geosans`.
      */
-    load(cameras) {
-        this.cameraEvents.push.apply(this.cameraEvents, cameras);
+    loadFont(font) {
+        if(this.fontRequests.has(font)) {
+            return this.fontRequests.get(font);
+        }
+
+        var request = this.trackProgress(document.fonts.load(font).then(() => {}, ex => {
+            console.warn(`Couldn't load the font ${font}.`, ex);
+        }));
+        this.fontRequests.set(font, request);
+        return request;
     }
 
-    resetCamera() {
-        var c = this.camera;
-        var width = screen.width;
-        var height = screen.height;
-        var aspect = width / height;
+    /**
+     * Fetches and decodes an audio file. Failed requests are forgotten, so they can be retried.
+     * @param {string} url 
+     * @param {(buffer: ArrayBuffer) => Promise<AudioBuffer>} decode 
+     * @param {boolean} cache Whether to keep the decoded audio for the later loads, like for the hitsounds.
+     */
+    loadAudio(url, decode, cache = false) {
+        if(this.audioRequests.has(url)) {
+            return this.audioRequests.get(url);
+        }
 
-        c.fov = this.is16By9() ? 50 : 65;
-        c.near = 1;
-        c.far = 10000;
+        var request = this.trackProgress(fetch(url).then(res => {
+            if(!res.ok) {
+                throw new Error(`Couldn't load the audio ${url}: ${res.status} ${res.statusText}`);
+            }
+            return res.arrayBuffer();
+        }).then(decode));
+        if(!cache) return request;
 
-        var resetPos = this.getResetPosition();
-        c.position.set(resetPos.x, resetPos.y, resetPos.z)
-        c.lookAt(0, -5.5, -20);
-        this.isReset = true;
+        request.catch(() => {
+            this.audioRequests.delete(url);
+        });
+        this.audioRequests.set(url, request);
+        return request;
     }
 
-    update() {
-        this.updateCameraPos();
-        this.updateCameraTilt();
+    /**
+     * Counts a request into the progress.
+     * @template T
+     * @param {Promise<T>} request 
+     * @returns {Promise<T>}
+     */
+    trackProgress(request) {
+        this.total++;
+        var done = () => {
+            this.loaded++;
+            if(this.loaded == this.total) {
+                this.loaded = 0;
+                this.total = 0;
+            }
+        };
+        request.then(done, done);
+        return request;
     }
 
-    is16By9() {
-        if(this.isForce4By3) return false;
-        var canvas = GameplayManager.instance.game.canvas;
-        return Math.abs(canvas.width / canvas.height - 16 / 9) < 0.1;
+    isLoading() {
+        return this.loaded < this.total;
     }
 
-    getResetPosition() {
-        return new Vector3(0, 9, this.is16By9() ? 9 : 8);
+    /**
+     * @returns {number} From 0 to 1.
+     */
+    getProgress() {
+        return this.total == 0 ? 1 : this.loaded / this.total;
     }
+}
+/** @type {AssetManager} */
+AssetManager.instance = null;
 
-    getResetRotation() {
-        return new Vector3(this.is16By9() ? -26.565 : -27.378, 0, 0);
-    }
+AssetManager.textureRoot = "./assets/textures/";
 
-    updateCameraPos() {
-        /** @type {GameplayManager} */
-        var gameplayManager = GameplayManager.instance;
-        var time = gameplayManager.timing;
-        var offset = gameplayManager.audioManager.offset;
-        time -= offset;
+/** The textures loaded before a chart can be played. */
+AssetManager.textures = [
+    "Axiumcrisis.jpg", "TrackWhite.png", "TrackLaneDivider.png", "TrackCriticalLine.png",
+    "SkyInputLine.png", "SkyInputLabel.png", "TapNote.png", "HoldNote.png", "ArcTapLight.png",
+    "ArcBody.png", "ArcCap.png", "HeightIndicator.png"
+];
 
-        for(var i=0; i<this.cameraEvents.length; ++i) {
-            var c = this.cameraEvents[i];
-            if(c.time > time) break;
-            c.update(time);
-            if(c.type == "reset") {
-                for(var r=0; r<i; ++r) {
-                    var cr = this.cameraEvents[r];
-                    cr.update(c.time);
-                }
-            }
-        }
+/** The fonts of the overlay, declared in `style.css`. */
+AssetManager.fonts = ["300 115px Geosans", "32px ExoFallback"];
 
-        var position = this.getResetPosition();
-        var rotation = this.getResetRotation();
-        for(var i=0; i<this.cameraEvents.length; ++i) {
-            var c = this.cameraEvents[i];
-            if(c.time > time) break;
+class GameplayManager {
+    /**
+     * @param {GameBase} game 
+     */
+    constructor(game) {
+        GameplayManager.instance = this;
+        this.game = game;
 
-            this.isReset = c.type == "reset";
-            if(this.isReset) {
-                position = this.getResetPosition();
-                rotation = this.getResetRotation();
-            }
-            
-            position.x += c.translation.x * c.percent / 100;
-            position.y += c.translation.y * c.percent / 100;
-            position.z += c.translation.z * c.percent / 100;
+        /** @type {AudioManagerBase} */
+        var conditions = location.protocol == "file:" || !window.AudioContext;
+        var elem = document.getElementById("game-audio");
+        this.audioManager = conditions ? new LegacyAudioManager(elem) : new AudioManager(elem);
+        this.audioManager.volume = 0.3;
 
-            rotation.x += c.rotation.y * c.percent;
-            rotation.y += c.rotation.x * c.percent;
-            rotation.z += c.rotation.z * c.percent;
-        }
+        this.colorsOnly = location.protocol == "file:";
 
-        this.camera.up.set(0, 1, 0);
-        this.camera.position.set(position.x, position.y, position.z);
+        this.lastUpdate = 0;
+        this.deltaTime = 0;
 
-        // The camera is rotating on world axis....
-        this.camera.setRotationFromEuler(new THREE.Euler(0, 0, 0));
-        this.camera.rotateOnAxis(new THREE.Vector3(1, 0, 0), rotation.x / 180 * Math.PI);
-        this.camera.rotateOnWorldAxis(new THREE.Vector3(0, 1, 0), rotation.y / 180 * Math.PI);
-        this.camera.rotateOnWorldAxis(new THREE.Vector3(0, 0, 1), rotation.z / 180 * Math.PI);
-    }
+        this.difficulties = [
+            "Past", "Present", "Future", "Beyond"
+        ];
 
-    updateCameraTilt() {
-        if(!this.isReset)  {
-            this.currentTilt = 0;
-            return;
-        }
-        var currentArcPos = GameplayManager.instance.autoplay ? -ArcManager.instance.arcJudgePos : 0;
-        var pos = Utils.clamp(currentArcPos / 4.25, -1, 1) * 0.05;
-        var delta = pos - this.currentTilt;
-        var speed = GameplayManager.instance.audioManager.isPlaying ? (currentArcPos == 0 ? 0.02 : 0.04) : 0.03;
-        this.currentTilt = this.currentTilt + speed * delta;
-        this.camera.up.set(this.currentTilt, 1 - this.currentTilt, 0);
-        this.camera.lookAt(new THREE.Vector3(0, -5.5, -20)); 
-    }
-}
-/** @type {CameraManager} */
-CameraManager.instance = null;
+        this.autoplay = true;
+        
+        Object.defineProperty(this, "timing", {
+            get: () => {
+                return Math.floor(this.audioManager.timing * 1000);
+            },
+            set: (value) => {
+                var v = value / 1000;
+                this.audioManager.setTime(v);
+            }
+        });
 
-class AudioManagerBase {
-    constructor() {
-        this.offset = 0;
-        this.timing = 0;
-        this.speed = 1;
-        this.isPlaying = false;
-        this.volume = 0.3;
-        this.loop = false;
+        Object.defineProperty(this, "isPlaying", {
+            get: () => {
+                return this.audioManager.isPlaying;
+            }
+        });
 
-        Object.defineProperty(this, "semitoneOffset", {
+        Object.defineProperty(this, "length", {
             get: () => {
-                return Math.log(this.speed) / Math.log(2) * 12;
-            },
-            set: (v) => {
-                this.setPlaybackRate(Math.pow(2, v / 12));
+                return Math.floor(this.audioManager.length() * 1000);
             }
         });
     }
 
-    /**
-     * @param {string} url
-     * @param {number} offset 
-     */
-    async load(url, offset) {
-        throw new Error("This method was not implemented.");
-    }
+    update() {
+        var now = performance.now();
+        this.deltaTime = now - this.lastUpdate;
+        this.lastUpdate = now;
 
-    play() {
-        throw new Error("This method was not implemented.");
+        this.audioManager.update();
     }
+}
 
-    setPlaybackRate(speed) {
-        throw new Error("This method was not implemented.");
+/** @type {GameplayManager} */
+GameplayManager.instance = null;
+
+/**
+ * Judges the notes against the player's input in manual play, and keeps the combo and the score.
+ * 
+ * A note hit within `JudgementManager.windows.maxPure` is a Max Pure, within `pure` a Pure and within `far` a Far.
+ * Arc ticks and hold ticks are always Max Pure when they are hit.
+ */
+class JudgementManager {
+    constructor() {
+        JudgementManager.instance = this;
+        this.lastTiming = 0;
+        this.seekCount = 0;
+        this.reset();
     }
 
-    pause() {
-        throw new Error("This method was not implemented.");
+    clean() {
+        this.reset();
+        this.lastTiming = 0;
     }
 
-    stop() {
-        throw new Error("This method was not implemented.");
+    reset() {
+        this.combo = 0;
+        this.maxCombo = 0;
+
+        /** The Pure count, including the Max Pure ones. */
+        this.pureCount = 0;
+        this.maxPureCount = 0;
+        this.farCount = 0;
+        this.lostCount = 0;
+        this.earlyCount = 0;
+        this.lateCount = 0;
+
+        /**
+         * The last hit which wasn't a Max Pure, shown as early or late.
+         * @type {{ early: boolean, timing: number } | null}
+         */
+        this.lastEarlyLate = null;
+
+        /**
+         * How late each tap, hold head and arctap was hit in milliseconds, negative if early.
+         * @type {number[]}
+         */
+        this.offsets = [];
     }
 
-    setTime(time) {
-        throw new Error("This method was not implemented.");
+    /**
+     * Starts judging again from the given time, like after seeking. The notes before it are skipped without being counted.
+     * @param {number} timing The time in milliseconds, like `GameplayManager.timing`.
+     */
+    restart(timing) {
+        this.reset();
+        this.lastTiming = timing;
+        TapNoteManager.instance.resetJudgement(timing);
+        HoldManager.instance.resetJudgement(timing);
+        ArcManager.instance.resetJudgement(timing);
     }
 
+    /**
+     * Restarts the judgement when the time was moved by a seek, or went back by looping.
+     * Pausing and the end of the song keep the judgement, so the counts stay as they are.
+     */
     update() {
-        throw new Error("This method was not implemented.");
+        var game = GameplayManager.instance;
+        var audioManager = game.audioManager;
+        var timing = game.timing;
+        if(!game.autoplay) {
+            if(audioManager.seekCount != this.seekCount) {
+                this.restart(Math.floor(audioManager.seekTime * 1000));
+            } else if(game.isPlaying && timing < this.lastTiming - JudgementManager.rewindThreshold) {
+                this.restart(timing);
+            }
+        }
+        this.seekCount = audioManager.seekCount;
+        this.lastTiming = timing;
     }
 
-    length() {
-        throw new Error("This method was not implemented.");
+    /**
+     * Hits the earliest tap or hold head in the lane which is within the hit window.
+     * @param {number} lane An integer between 0 to 5, where 0 and 5 are added by `enwidenlanes`.
+     * @param {number} timing The time of the press in milliseconds, like `GameplayManager.timing`.
+     * @returns {TapNote | HoldNote | null} The note which was hit.
+     */
+    pressLane(lane, timing) {
+        var offset = GameplayManager.instance.audioManager.offset;
+        var inWindow = n => n.lane == lane && !n.timingGroup.noInput && Math.abs(timing - n.time - offset) <= JudgementManager.windows.far;
+
+        /** @type {(TapNote | HoldNote)[]} */
+        var candidates = TapNoteManager.instance.taps.filter(t => !t.judged && inWindow(t));
+        candidates.push(...HoldManager.instance.holds.filter(h => !h.headJudged && inWindow(h)));
+        if(candidates.length == 0) return null;
+
+        var note = candidates.reduce((a, b) => b.time < a.time ? b : a);
+        if(note instanceof HoldNote) {
+            note.headJudged = true;
+            note.judging = true;
+        } else {
+            note.judged = true;
+        }
+        this.offsets.push(timing - note.time - offset);
+        this.hit(note, timing - note.time - offset);
+        return note;
     }
-}
 
-class LegacyAudioManager extends AudioManagerBase {
     /**
-     * @param {HTMLAudioElement} audioElem 
+     * Hits the earliest arctap within the hit window which is close to a touch above the sky input line.
+     * @param {Vector2} position The world position of the touch on the judge plane.
+     * @param {number} timing The time of the touch in milliseconds, like `GameplayManager.timing`.
+     * @returns {ArctapNote | null} The arctap which was hit.
      */
-    constructor(audioElem) {
-        super();
-        this.audioElem = audioElem || document.createElement("audio");
+    pressSky(position, timing) {
+        var offset = GameplayManager.instance.audioManager.offset;
 
-        Object.defineProperty(this, "isPlaying", {
-            get: () => {
-                return !this.audioElem.paused;
-            }
-        });
-        
-        Object.defineProperty(this, "volume", {
-            get: () => {
-                return this.audioElem.volume;
-            },
-            set: (v) => {
-                this.audioElem.volume = v;
-            }
+        /** @type {ArctapNote} */
+        var target = null;
+        ArcManager.instance.arcs.forEach(a => {
+            if(a.timingGroup.noInput) return;
+            a.arcTaps.forEach(t => {
+                if(t.judged || Math.abs(timing - t.time - offset) > JudgementManager.windows.far) return;
+                var x = -ArcAlgorithm.arcXToWorld(a.getPositionAt(t.time).x);
+                if(Math.abs(position.x - x) > InputManager.arcTapRange) return;
+                if(!target || t.time < target.time) target = t;
+            });
         });
+        if(!target) return null;
 
-        Object.defineProperty(this, "loop", {
-            get: () => {
-                return this.audioElem.loop;
-            },
-            set: (v) => {
-                this.audioElem.loop = v;
-            }
-        });
+        target.judged = true;
+        var hitsound = target.parent.getHitsoundFile();
+        if(hitsound) {
+            GameplayManager.instance.audioManager.playHitsound(hitsound);
+        }
+        this.offsets.push(timing - target.time - offset);
+        this.hit(target, timing - target.time - offset);
+        return target;
     }
 
-    length() {
-        return this.audioElem.duration;
+    /**
+     * @param {ArcaeaEvent} note 
+     * @param {number} offset How late the note was hit in milliseconds, negative if early.
+     * @returns {JudgementType}
+     */
+    hit(note, offset) {
+        var type = JudgementManager.getJudgement(offset);
+        if(type == "lost") {
+            this.lost(note);
+            return type;
+        }
+
+        this.combo++;
+        this.maxCombo = Math.max(this.maxCombo, this.combo);
+        if(type == "far") {
+            this.farCount++;
+        } else {
+            this.pureCount++;
+            if(type == "maxPure") this.maxPureCount++;
+        }
+
+        if(type != "maxPure") {
+            var early = offset < 0;
+            if(early) {
+                this.earlyCount++;
+            } else {
+                this.lateCount++;
+            }
+            this.lastEarlyLate = { early, timing: GameplayManager.instance.timing };
+        }
+        return type;
     }
 
     /**
-     * @param {string} url The path to the audio file.
-     * @param {number} offset Audio offset in milliseconds.
+     * @param {ArcaeaEvent} note 
      */
-    load(url, offset) {
-        this.offset = offset;
-        return new Promise((resolve, reject) => {
-            this.audioElem.src = url;
-            this.audioElem.addEventListener("loadeddata", e => {
-                resolve();
-            });
-        })
+    lost(note) {
+        this.combo = 0;
+        this.lostCount++;
+    }
+
+    /**
+     * The score of the judged notes, out of 10,000,000 plus one for each Max Pure. A Far is worth half a Pure.
+     * @param {number} total The note count of the chart, like `GameBase.countTotal`.
+     */
+    getScore(total) {
+        return Math.floor(10000000 * (this.pureCount + this.farCount / 2) / (total || 1)) + this.maxPureCount;
     }
 
-    play() {
-        this.audioElem.play();
+    /**
+     * @param {number} offset How late the note was hit in milliseconds, negative if early.
+     * @returns {JudgementType}
+     */
+    static getJudgement(offset) {
+        var windows = JudgementManager.windows;
+        var distance = Math.abs(offset);
+        if(distance <= windows.maxPure) return "maxPure";
+        if(distance <= windows.pure) return "pure";
+        if(distance <= windows.far) return "far";
+        return "lost";
     }
+}
+/** @type {JudgementManager} */
+JudgementManager.instance = null;
 
-    setPlaybackRate(speed) {
-        this.speed = speed;
-        this.audioElem.playbackRate = speed;
+/**
+ * How far from the note time a press gets each judgement, in milliseconds.
+ * Out of the Far window a press doesn't hit the note, and later than it the note is lost.
+ */
+JudgementManager.windows = {
+    maxPure: 25,
+    pure: 50,
+    far: 100
+};
+
+/** How long the early or late indicator is shown after a hit, in milliseconds. */
+JudgementManager.earlyLateDuration = 500;
+
+/** How far the time can go back in a frame while playing before the judgement restarts, like when looping, in milliseconds. */
+JudgementManager.rewindThreshold = 100;
+
+/**
+ * Tracks the keys and the fingers of the player in manual play, and sends the presses to `JudgementManager`.
+ * 
+ * Keys press the lanes. Touches and mouse clicks are raycast from the camera: below the sky input line
+ * they press the lane they land on, and above it they hit the arctaps. Each finger follows the arc closest to it.
+ */
+class InputManager {
+    constructor() {
+        InputManager.instance = this;
+
+        /** Whether the key of each lane is held down, indexed by `lane - 1`. */
+        this.keys = [false, false, false, false];
+
+        /**
+         * The fingers and the mouse on the game area, by `PointerEvent.pointerId`.
+         * @type {Map<number, InputPointer>}
+         */
+        this.pointers = new Map();
+
+        /**
+         * Whether a finger or the mouse has pressed since the chart was loaded.
+         * Until then the arcs follow themselves, so the charts can be played with the keyboard only.
+         */
+        this.pointerUsed = false;
+
+        /** @type {HTMLElement} */
+        this.element = null;
+        this.raycaster = new THREE.Raycaster();
+
+        window.addEventListener("keydown", e => this.onKeyDown(e));
+        window.addEventListener("keyup", e => this.onKeyUp(e));
+        window.addEventListener("blur", () => this.releaseAll());
     }
 
-    pause() {
-        this.audioElem.pause();
+    clean() {
+        this.releaseAll();
+        this.pointerUsed = false;
     }
 
-    stop() {
-        this.audioElem.stop();
+    releaseAll() {
+        this.keys.fill(false);
+        this.pointers.clear();
     }
 
-    setTime(time) {
-        this.audioElem.currentTime = time;
+    /**
+     * Listens to the touches and clicks on an element, which should cover the canvas.
+     * @param {HTMLElement} element 
+     */
+    attach(element) {
+        this.element = element;
+        element.addEventListener("pointerdown", e => this.onPointerDown(e));
+        element.addEventListener("pointermove", e => this.onPointerMove(e));
+        element.addEventListener("pointerup", e => this.onPointerUp(e));
+        element.addEventListener("pointercancel", e => this.onPointerUp(e));
     }
 
     update() {
-        this.timing = Utils.lerp(this.timing, this.audioElem.currentTime, this.isPlaying ? 1 : GameplayManager.instance.deltaTime / 120);
+        var timing = GameplayManager.instance.timing;
+
+        /** @type {Arc[]} */
+        var taken = [];
+        this.pointers.forEach(p => {
+            p.arc = p.position ? ArcManager.instance.findArc(p, timing, taken) : null;
+            if(p.arc) taken.push(p.arc);
+        });
     }
-}
 
-class AudioManager extends AudioManagerBase {
     /**
-     * @param {HTMLAudioElement} audioElem 
+     * @param {KeyboardEvent} e 
      */
-    constructor(audioElem) {
-        super();
-        var ctx = this.context = new AudioContext();
-        
-        this.audioElem = audioElem;
-        var en = ctx.createMediaElementSource(audioElem);
-        var eg = ctx.createGain();
-        eg.gain.value = 0;
-        en.connect(eg).connect(ctx.destination);
+    onKeyDown(e) {
+        var lane = InputManager.laneKeys[e.code];
+        if(!lane || e.repeat || InputManager.isTyping(e)) return;
 
-        audioElem.addEventListener("play", e => {
-            if(!this.audioSource) {
-                audioElem.pause();
-                return;
-            }
-            this.play();
-        });
+        this.keys[lane - 1] = true;
+        if(!GameplayManager.instance.autoplay) {
+            e.preventDefault();
+            JudgementManager.instance.pressLane(lane, this.getTiming());
+        }
+    }
 
-        audioElem.addEventListener("pause", e => {
-            if(!this.audioSource) {
-                return;
-            }
-            this.pause();
-        });
+    /**
+     * @param {KeyboardEvent} e 
+     */
+    onKeyUp(e) {
+        var lane = InputManager.laneKeys[e.code];
+        if(!lane) return;
+        this.keys[lane - 1] = false;
+    }
 
-        /** @type {AudioBufferSourceNode} */
-        this.audioSource = null;
+    /**
+     * @param {PointerEvent} e 
+     */
+    onPointerDown(e) {
+        if(e.pointerType == "mouse" && e.button != 0) return;
+        this.element.setPointerCapture(e.pointerId);
 
-        var gain = this.gainNode = ctx.createGain();
-        gain.gain.value = 1;
-        gain.connect(ctx.destination);
+        /** @type {InputPointer} */
+        var pointer = { id: e.pointerId, lane: -1, sky: false, position: null, arc: null };
+        this.updatePointer(pointer, e);
+        this.pointers.set(e.pointerId, pointer);
+        this.pointerUsed = true;
 
-        Object.defineProperty(this, "volume", {
-            get: () => {
-                return gain.gain.value;
-            },
-            set: (v) => {
-                gain.gain.value = v;
+        if(!GameplayManager.instance.autoplay) {
+            e.preventDefault();
+            var timing = this.getTiming();
+            if(pointer.sky) {
+                JudgementManager.instance.pressSky(pointer.position, timing);
+            } else if(pointer.lane != -1) {
+                JudgementManager.instance.pressLane(pointer.lane, timing);
             }
-        });
+        }
+    }
 
-        Object.defineProperty(this, "loop", {
-            get: () => {
-                return this.audioElem.loop;
-            },
-            set: (v) => {
-                this.audioSource.loop = v;
-                this.audioElem.loop = v;
-            }
-        });
+    /**
+     * @param {PointerEvent} e 
+     */
+    onPointerMove(e) {
+        var pointer = this.pointers.get(e.pointerId);
+        if(pointer) this.updatePointer(pointer, e);
     }
 
-    length() {
-        if(!this.audioSource) return 0;
-        var b = this.audioSource.buffer;
-        return b.length / b.sampleRate;
+    /**
+     * @param {PointerEvent} e 
+     */
+    onPointerUp(e) {
+        this.pointers.delete(e.pointerId);
     }
 
     /**
-     * 
-     * @param {ArrayBuffer} buffer 
+     * Raycasts a pointer onto the judge plane and the track.
+     * @param {InputPointer} pointer 
+     * @param {PointerEvent} e 
      */
-    async decode(buffer) {
-        var b = await this.context.decodeAudioData(buffer);
-        return b;
+    updatePointer(pointer, e) {
+        var game = GameplayManager.instance.game;
+        var rect = game.canvas.getBoundingClientRect();
+        var ndc = new THREE.Vector2(
+            (e.clientX - rect.left) / rect.width * 2 - 1,
+            -(e.clientY - rect.top) / rect.height * 2 + 1
+        );
+        this.raycaster.setFromCamera(ndc, game.camera);
+
+        var ray = this.raycaster.ray;
+        var onJudgePlane = ray.intersectPlane(InputManager.judgePlane, new THREE.Vector3());
+        var onTrack = ray.intersectPlane(InputManager.trackPlane, new THREE.Vector3());
+
+        pointer.position = onJudgePlane ? new Vector2(onJudgePlane.x, onJudgePlane.y) : null;
+        pointer.sky = !!onJudgePlane && onJudgePlane.y >= InputManager.skyInputY;
+        pointer.lane = !pointer.sky && onTrack ? InputManager.getLane(onTrack.x) : -1;
     }
 
     /**
-     * 
-     * @param {string} url
-     * @param {number} offset 
+     * @param {number} lane An integer between 0 to 5.
      */
-    async load(url, offset) {
-        this.stop();
-        if(this.audioSource) {
-            this.audioSource.disconnect();
-            this.audioSource.buffer = null;
+    isLaneDown(lane) {
+        if(this.keys[lane - 1]) return true;
+        for(var p of this.pointers.values()) {
+            if(p.lane == lane) return true;
         }
-        this.audioSource = null;
+        return false;
+    }
 
-        this.audioElem.src = url;
-        var buf = await (await fetch(url)).arrayBuffer();
-        this.loadBuffer(await this.decode(buf), offset);
+    /**
+     * Gets the time of an input, which usually happens between two frames.
+     */
+    getTiming() {
+        var gm = GameplayManager.instance;
+        var timing = gm.timing;
+        if(gm.isPlaying) {
+            timing += (performance.now() - gm.lastUpdate) * gm.audioManager.speed;
+        }
+        return timing;
     }
 
     /**
-     * 
-     * @param {AudioBuffer} buffer 
-     * @param {number} offset 
+     * Gets the lane under a world X position on the track.
+     * @param {number} x 
+     * @returns {number} An integer between 1 to 4, or between 0 to 5 with `enwidenlanes`. -1 if it is outside of the track.
      */
-    loadBuffer(buffer, offset) {
-        this.offset = offset;
-        var src = this.context.createBufferSource();
-        src.buffer = buffer;
-        src.loop = this.loop;
-        src.connect(this.gainNode);
+    static getLane(x) {
+        var lane = Math.floor((ArcAlgorithm.worldXToArc(-x) + 0.5) / 0.5) + 1;
+        var widened = SceneControlManager.instance.enwidenLanes >= 0.5;
+        return lane >= (widened ? 0 : 1) && lane <= (widened ? 5 : 4) ? lane : -1;
+    }
 
-        if(this.audioSource && this.isPlaying) this.audioSource.stop();
-        this.isPlaying = false;
-        this.audioSource = src;
+    /**
+     * Whether the keys are typed into a text field, so they shouldn't hit the notes.
+     * @param {KeyboardEvent} e 
+     */
+    static isTyping(e) {
+        var target = e.target;
+        return !!target && (target.tagName == "INPUT" || target.tagName == "TEXTAREA" || target.isContentEditable);
     }
+}
+/** @type {InputManager} */
+InputManager.instance = null;
 
-    play() {
-        if(!this.audioSource) return;
+/** The keys of the four lanes, by `KeyboardEvent.code`. */
+InputManager.laneKeys = {
+    KeyD: 1,
+    KeyF: 2,
+    KeyJ: 3,
+    KeyK: 4
+};
 
-        if(this.timing >= this.length()) {
-            this.setTime(0);
-        }
+/** The height of the sky input line in world space. Touches above it hit the arctaps instead of the lanes. */
+InputManager.skyInputY = 5.5;
 
-        if(this.audioElem.paused) {
-            this.audioElem.play()
-        }
-        this.timing = this.audioElem.currentTime;
-        this.audioSource.playbackRate.value = this.speed;
-        this.audioSource.start(0, this.timing);
-        this.isPlaying = true;
-    }
+/** How far from an arctap a touch can hit it, in world units on the X axis. */
+InputManager.arcTapRange = 2.5;
 
-    setPlaybackRate(speed) {
-        this.speed = speed;
-        this.audioElem.playbackRate = speed;
-        if(this.isPlaying) {
-            this.audioSource.playbackRate.value = speed;
-        }
-    }
+/** How far from an arc a finger can follow it, in world units. */
+InputManager.arcRange = 3;
 
-    pause() {
-        if(!this.audioElem.paused) {
-            this.audioElem.pause()
-        }
+/** The vertical plane of the judge line, where the arcs and arctaps are judged. */
+InputManager.judgePlane = new THREE.Plane(new THREE.Vector3(0, 0, 1), 0);
 
-        if(this.audioSource) {
-            try {
-                this.audioSource.stop();
-            } catch(ex) { }
-            this.isPlaying = false;
-            this.loadBuffer(this.audioSource.buffer, this.offset);
-        } else {
-            this.isPlaying = false;
-        }
-    }
+/** The plane of the track surface. */
+InputManager.trackPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
 
-    stop() {
-        this.pause();
-        this.timing = 0;
-    }
+/**
+ * Draws the notes of one look in a timing group with a single `InstancedMesh`,
+ * instead of a mesh and a draw call for each note.
+ * 
+ * The managers fill it every frame: `begin()`, `push()` for every visible note, then `end()`.
+ */
+class NoteBatch {
+    /**
+     * @param {TBufferGeometry} geometry Owned by the batch, as it holds the per-instance opacity.
+     * @param {TMaterial} material A material from `NoteBatch.createMaterial`, shared between the batches.
+     * @param {number} capacity The initial count of instances. It grows when more are pushed.
+     */
+    constructor(geometry, material, capacity = 16) {
+        this.geometry = geometry;
+        this.material = material;
+        this.capacity = 0;
+        this.count = 0;
 
-    setTime(time) {
-        var playing = this.isPlaying;
-        if(playing) {
-            this.pause();
-        }
-        this.timing = time;
-        this.audioElem.currentTime = time;
+        /** @type {TInstancedMesh} */
+        this.mesh = null;
 
-        if(playing) {
-            this.play();
-        }
+        /** @type {Float32Array} */
+        this.opacities = null;
+        this.allocate(Math.max(1, capacity));
     }
 
-    update() {
-        if(this.audioSource) {
-            this.audioSource.loop = this.loop;
-        }
+    /**
+     * Replaces the mesh with a larger one, keeping the instances pushed in this frame.
+     * @param {number} capacity 
+     */
+    allocate(capacity) {
+        var old = this.mesh;
+        var mesh = this.mesh = new THREE.InstancedMesh(this.geometry, this.material, capacity);
+        // The bounding sphere of the geometry doesn't cover the instances.
+        mesh.frustumCulled = false;
+        mesh.count = 0;
 
-        if(this.isPlaying) {
-            this.timing += GameplayManager.instance.deltaTime / 1000 * this.speed;
-            
-            if(this.timing >= this.length()) {
-                if(this.loop) {
-                    this.timing -= this.length();
-                } else {
-                    this.isPlaying = false;
-                }
+        var opacities = new Float32Array(capacity);
+        if(old) {
+            mesh.instanceMatrix.array.set(old.instanceMatrix.array);
+            opacities.set(this.opacities);
+            if(old.parent) {
+                old.parent.add(mesh);
+                old.parent.remove(old);
             }
-        } else {
-            this.timing = Utils.lerp(this.timing, this.audioElem.currentTime, GameplayManager.instance.deltaTime / 120);
         }
+        this.opacities = opacities;
+        this.geometry.setAttribute("instanceOpacity", new THREE.InstancedBufferAttribute(opacities, 1));
+        this.capacity = capacity;
+    }
+
+    begin() {
+        this.count = 0;
     }
-}
 
-class GameplayManager {
     /**
-     * @param {GameBase} game 
+     * Adds an instance rotated to lie on the track, like the notes.
+     * @param {number} x 
+     * @param {number} y 
+     * @param {number} z 
+     * @param {number} scaleX 
+     * @param {number} scaleY 
+     * @param {number} scaleZ 
+     * @param {number} opacity 
      */
-    constructor(game) {
-        GameplayManager.instance = this;
-        this.game = game;
+    push(x, y, z, scaleX, scaleY, scaleZ, opacity) {
+        if(this.count == this.capacity) {
+            this.allocate(this.capacity * 2);
+        }
 
-        /** @type {AudioManagerBase} */
-        var conditions = location.protocol == "file:" || !window.AudioContext;
-        var elem = document.getElementById("game-audio");
-        this.audioManager = conditions ? new LegacyAudioManager(elem) : new AudioManager(elem);
-        this.audioManager.volume = 0.3;
+        var dummy = NoteBatch.dummy;
+        dummy.position.set(x, y, z);
+        dummy.scale.set(scaleX, scaleY, scaleZ);
+        dummy.updateMatrix();
+        this.mesh.setMatrixAt(this.count, dummy.matrix);
+        this.opacities[this.count] = opacity;
+        this.count++;
+    }
 
-        this.colorsOnly = location.protocol == "file:";
+    end() {
+        this.mesh.count = this.count;
+        this.mesh.instanceMatrix.needsUpdate = true;
+        this.geometry.attributes.instanceOpacity.needsUpdate = true;
+    }
 
-        this.lastUpdate = 0;
-        this.deltaTime = 0;
+    destroy() {
+        GameplayManager.instance.game.removeObject(this.mesh);
+        this.geometry.dispose();
+    }
 
-        this.difficulties = [
-            "Past", "Present", "Future", "Beyond"
-        ];
+    /**
+     * Creates a `MeshBasicMaterial` which multiplies its opacity by the `instanceOpacity` attribute.
+     * @param {object} params The parameters of `MeshBasicMaterial`.
+     */
+    static createMaterial(params) {
+        var material = new THREE.MeshBasicMaterial(params);
+        material.onBeforeCompile = shader => {
+            shader.vertexShader = "attribute float instanceOpacity;\nvarying float vInstanceOpacity;\n" +
+                shader.vertexShader.replace("#include <begin_vertex>", "#include <begin_vertex>\n\tvInstanceOpacity = instanceOpacity;");
+            shader.fragmentShader = "varying float vInstanceOpacity;\n" +
+                shader.fragmentShader.replace("vec4 diffuseColor = vec4( diffuse, opacity );", "vec4 diffuseColor = vec4( diffuse, opacity * vInstanceOpacity );");
+        };
+        return material;
+    }
+}
+/** Composes the instance matrices. Every note lies on the track. */
+NoteBatch.dummy = new THREE.Object3D();
+NoteBatch.dummy.setRotationFromEuler(new THREE.Euler(-90 / 180 * Math.PI, 0, 0));
 
-        this.autoplay = true;
-        
-        Object.defineProperty(this, "timing", {
-            get: () => {
-                return Math.floor(this.audioManager.timing * 1000);
-            },
-            set: (value) => {
-                var v = value / 1000;
-                this.audioManager.setTime(v);
-            }
-        });
+/**
+ * The batches of a note type, one for each timing group so they move with the group object.
+ */
+class NoteBatchSet {
+    /**
+     * @param {() => TBufferGeometry} createGeometry 
+     * @param {() => TMaterial} getMaterial Returns the shared material.
+     */
+    constructor(createGeometry, getMaterial) {
+        this.createGeometry = createGeometry;
+        this.getMaterial = getMaterial;
 
-        Object.defineProperty(this, "isPlaying", {
-            get: () => {
-                return this.audioManager.isPlaying;
-            }
-        });
+        /** @type {Map<TimingGroup, NoteBatch>} */
+        this.batches = new Map();
+    }
 
-        Object.defineProperty(this, "length", {
-            get: () => {
-                return Math.floor(this.audioManager.length() * 1000);
-            }
+    /**
+     * @param {TimingGroup} group 
+     * @param {number} capacity Used when the batch is created.
+     */
+    get(group, capacity = 16) {
+        var batch = this.batches.get(group);
+        if(!batch) {
+            batch = new NoteBatch(this.createGeometry(), this.getMaterial(), capacity);
+            GameplayManager.instance.game.getGroupObject(group).add(batch.mesh);
+            this.batches.set(group, batch);
+        }
+        return batch;
+    }
+
+    /**
+     * Creates the batches ahead, sized for the given notes.
+     * @param {ArcaeaEvent[]} notes 
+     */
+    reserve(notes) {
+        /** @type {Map<TimingGroup, number>} */
+        var counts = new Map();
+        notes.forEach(n => {
+            counts.set(n.timingGroup, (counts.get(n.timingGroup) || 0) + 1);
         });
+        counts.forEach((count, group) => this.get(group, count));
     }
 
-    update() {
-        var now = performance.now();
-        this.deltaTime = now - this.lastUpdate;
-        this.lastUpdate = now;
+    begin() {
+        this.batches.forEach(b => b.begin());
+    }
 
-        this.audioManager.update();
+    end() {
+        this.batches.forEach(b => b.end());
     }
-}
 
-/** @type {GameplayManager} */
-GameplayManager.instance = null;
+    clean() {
+        this.batches.forEach(b => b.destroy());
+        this.batches.clear();
+    }
+}
 
 class TapNoteManager {
     constructor() {
@@ -2484,31 +2176,36 @@ class TapNoteManager {
 
         /** @type {TapNote[]} */
         this.taps = [];
-        this.lanes = [
-            -ArcAlgorithm.arcXToWorld(-0.25),
-            -ArcAlgorithm.arcXToWorld(0.25),
-            -ArcAlgorithm.arcXToWorld(0.75),
-            -ArcAlgorithm.arcXToWorld(1.25),
-        ];
+        /** The world X of each lane, by lane. The lanes 0 and 5 are added by `enwidenlanes`. */
+        this.lanes = [0, 1, 2, 3, 4, 5].map(lane => -ArcAlgorithm.arcXToWorld(lane * 0.5 - 0.75));
+        this.batches = new NoteBatchSet(() => new THREE.PlaneBufferGeometry(1, 1), () => TapNoteManager.material);
     }
 
     clean() {
-        this.taps.forEach(t => {
-            t.destroy();
-        });
+        this.batches.clean();
         this.taps = [];
     }
 
+    /**
+     * Creates the material shared by every tap note. Called once the textures are preloaded,
+     * so it falls back to a plain color if the texture failed to load.
+     */
+    static createMaterial() {
+        var texture = AssetManager.instance.getTexture("TapNote.png");
+        TapNoteManager.material = NoteBatch.createMaterial({
+            color: texture ? 0xffffff : 0x8dcee6,
+            map: texture,
+            transparent: true
+        });
+    }
+
     /**
      * 
      * @param {TapNote[]} taps 
      */
     load(taps) {
         this.taps = taps;
-        taps.forEach(t => {
-            t.gameObject = TapNote.newObject();
-            GameplayManager.instance.game.scene.add(t.gameObject);
-        });
+        this.batches.reserve(taps);
     }
 
     /**
@@ -2517,7 +2214,14 @@ class TapNoteManager {
      */
     add(tap) {
         this.taps.push(tap);
-        tap.setupArcTapConnection();
+
+        ArcManager.instance.arcs.forEach(a => {
+            a.arcTaps.forEach(t => {
+                if(Math.abs(t.time - tap.time) <= 1) {
+                    ArcManager.instance.setupArcTapConnection(t);
+                }
+            });
+        });
     }
 
     /**
@@ -2526,16 +2230,56 @@ class TapNoteManager {
      */
     remove(tap) {
         var i = this.taps.indexOf(tap);
-        tap.destroy();
-        this.taps.splice(i, 1);
+        if(i != -1) this.taps.splice(i, 1);
+
+        // `update()` stops rendering when there are no taps.
+        if(this.taps.length == 0) this.batches.clean();
     }
 
     update() {
         if(this.taps.length == 0) return;
-        if(GameplayManager.instance.autoplay) this.judgeTapNotes();
+        if(GameplayManager.instance.autoplay) {
+            this.judgeTapNotes();
+        } else {
+            this.judgeTapInput();
+        }
         this.renderTapNotes();
     }
 
+    /**
+     * Loses the taps which have passed the hit window in manual play.
+     * The hits are judged by `JudgementManager.pressLane`.
+     */
+    judgeTapInput() {
+        var offset = GameplayManager.instance.audioManager.offset;
+        var time = GameplayManager.instance.timing;
+
+        this.taps.forEach(t => {
+            if(t.judged) return;
+            if(t.timingGroup.noInput) {
+                // Nothing can hit them, so they pass like in autoplay.
+                if(time > t.time + offset) t.judged = true;
+                return;
+            }
+
+            if(time > t.time + offset + JudgementManager.windows.far) {
+                t.judged = true;
+                JudgementManager.instance.lost(t);
+            }
+        });
+    }
+
+    /**
+     * Skips the taps before the given time, and makes the later ones judgeable again.
+     * @param {number} timing 
+     */
+    resetJudgement(timing) {
+        var offset = GameplayManager.instance.audioManager.offset;
+        this.taps.forEach(t => {
+            t.judged = t.time + offset < timing;
+        });
+    }
+
     judgeTapNotes() {
         var offset = GameplayManager.instance.audioManager.offset;
         var time = GameplayManager.instance.timing;
@@ -2556,32 +2300,37 @@ class TapNoteManager {
 
     renderTapNotes() {
         var offset = GameplayManager.instance.audioManager.offset;
+        var context = TimingManager.instance.getContext();
 
+        this.batches.begin();
         this.taps.forEach(t => {
             var g = t.timingGroup;
             if(!g.shouldRender(t.time + offset) || t.judged) {
                 t.enabled = false;
-                t.gameObject.visible = false;
                 return;
             }
 
-            t.position = g.getPosByTiming(t.time + offset);
+            t.position = g.getPosByTiming(t.time + offset, context);
             if(t.position > 100000 || t.position < -10000) {
                 t.enabled = false;
-                t.gameObject.visible = false;
                 return;
             }
 
             t.enabled = true;
-            t.gameObject.visible = true;
             var pos = t.position / 1000;
-            t.gameObject.position.set(this.lanes[t.lane - 1], 0.11, -pos - 1.15);
-            t.gameObject.material.opacity = pos < 90 ? 1 : (100 - pos) / 10;
+            this.batches.get(g).push(
+                this.lanes[t.lane], 0.11, -pos - 1.15,
+                4.2746 * 0.95, 2.3, 1 * 0.95,
+                pos < 90 ? 1 : (100 - pos) / 10
+            );
         });
+        this.batches.end();
     }
 }
 /** @type {TapNoteManager} */
 TapNoteManager.instance = null;
+/** @type {TMaterial} */
+TapNoteManager.material = null;
 
 class ArcManager {
     constructor() {
@@ -2590,14 +2339,26 @@ class ArcManager {
         /** @type {Arc[]} */
         this.arcs = [];
         this.arcJudgePos = 0;
+
+        /**
+         * The fingers the arc colors are locked to in manual play, by color.
+         * @type {Map<number, number>}
+         */
+        this.colorLocks = new Map();
+
+        this.arcTapBatches = new NoteBatchSet(() => new THREE.BoxBufferGeometry(1, 1), () => ArcManager.arcTapMaterial);
+        this.arcTapShadowBatches = new NoteBatchSet(() => new THREE.PlaneBufferGeometry(1, 1), () => ArcManager.arcTapShadowMaterial);
     }
 
     clean() {
         this.arcs.forEach(a => {
-            a.destroy();
+            this.destroyArc(a);
             a = null;
         });
         this.arcs = [];
+        this.colorLocks.clear();
+        this.arcTapBatches.clean();
+        this.arcTapShadowBatches.clean();
     }
 
     /**
@@ -2606,78 +2367,165 @@ class ArcManager {
     load(arcs) {
         this.arcs = arcs;
         arcs.forEach(a => {
-            var renderer = a.arcRenderer;
+            var renderer = a.arcRenderer = new ArcRenderer(a);
             renderer.build();
-            GameplayManager.instance.game.scene.add(a.gameObject);
+            var groupObject = GameplayManager.instance.game.getGroupObject(a.timingGroup);
+            groupObject.add(a.gameObject);
 
             a.arcTaps.forEach(t => {
-                t.gameObject = ArctapNote.newObject();
-                t.shadow = ArctapNote.newShadow();
-                GameplayManager.instance.game.scene.add(t.gameObject);
-                GameplayManager.instance.game.scene.add(t.shadow);
-
-                t.setupArcTapConnection();
+                this.setupArcTapConnection(t);
             });
         });
+
+        var arcTaps = [];
+        arcs.forEach(a => arcTaps.push(...a.arcTaps));
+        this.arcTapBatches.reserve(arcTaps);
+        this.arcTapShadowBatches.reserve(arcTaps);
         this.calculateArcRelationship();
     }
 
-    calculateArcRelationship() {
-        this.arcs.forEach(a => {
-            a.arcGroup = null;
-            a.renderHead = true;
+    /**
+     * Creates the materials shared by every arctap and by their shadows. Called once the textures are preloaded,
+     * so the arctaps fall back to a plain color if the texture failed to load.
+     */
+    static createMaterials() {
+        var texture = AssetManager.instance.getTexture("ArcTapLight.png");
+        if(texture) {
+            texture.anisotropy = 16;
+        }
+
+        ArcManager.arcTapMaterial = NoteBatch.createMaterial({
+            color: texture ? 0xffffff : 0xbeb6da,
+            map: texture,
+            transparent: true,
         });
+        ArcManager.arcTapShadowMaterial = NoteBatch.createMaterial({
+            color: 0xaaaaaa,
+            transparent: true
+        });
+    }
 
-        this.arcs.forEach(a => {
-            this.arcs.forEach(b => {
-                if(a == b) return;
-                if(Math.abs(a.end.x - b.start.x) < 0.1 && Math.abs(a.endTime - b.time) <= 9 && a.end.y == b.start.y) {
-                    if(a.color == b.color && a.isVoid == b.isVoid && a.timingGroup == b.timingGroup) {
-                        if(a.arcGroup == null && b.arcGroup != null) {
-                            a.arcGroup = b.arcGroup;
-                        } else if(a.arcGroup != null && b.arcGroup == null) {
-                            b.arcGroup = a.arcGroup;
-                        } else if(a.arcGroup != null && b.arcGroup != null) {
-                            b.arcGroup.forEach(t => {
-                                if(a.arcGroup.indexOf(t) == -1) {
-                                    a.arcGroup.push(t);
-                                }
-                            });
-                            b.arcGroup = a.arcGroup;
-                        } else if(a.arcGroup == null && b.arcGroup == null) {
-                            a.arcGroup = b.arcGroup = [a];
-                        }
+    /**
+     * Draws the lines between an arctap and the taps at the same time.
+     * @param {ArctapNote} arctap 
+     */
+    setupArcTapConnection(arctap) {
+        var arc = arctap.parent;
+        if(!arc || (arc.endTime - arc.time) == 0) return;
 
-                        if(a.arcGroup.indexOf(b) == -1) {
-                            a.arcGroup.push(b);
-                        }
-                    }
+        var taps = TapNoteManager.instance.taps;
+        var sameTimeTaps = taps.filter(s => {
+            return Math.abs(s.time - arctap.time) < 1 && s.timingGroup == arctap.timingGroup
+        });
 
-                    if(a.isVoid == b.isVoid) {
-                        b.renderHead = false;
-                    }
-                }
+        sameTimeTaps.forEach(t => {
+            var material = new THREE.MeshBasicMaterial({
+                color: 0x78c8dc,
+                transparent: true
             });
-        });
+            var p = (arctap.time - arc.time) / (arc.endTime - arc.time);
+            var posA = new Vector2(-ArcAlgorithm.arcXToWorld(ArcAlgorithm.resolveX(arc.start.x, arc.end.x, p, arc.lineType)), ArcAlgorithm.arcYToWorld(ArcAlgorithm.resolveY(arc.start.y, arc.end.y, p, arc.lineType)) - 0.5);
+            var posB = new Vector2(TapNoteManager.instance.lanes[t.lane], 0.11);
+            
+            var geometry = new THREE.Geometry();
+            geometry.vertices.push(
+                new THREE.Vector3(posA.x - 0.1, posA.y, 0), 
+                new THREE.Vector3(posA.x + 0.1, posA.y, 0), 
+                new THREE.Vector3(posB.x - 0.1, posB.y, 0),
+                new THREE.Vector3(posB.x + 0.1, posB.y, 0),
+            );
+            var uv = [
+                new THREE.Vector2(0, 1),
+                new THREE.Vector2(1, 1),
+                new THREE.Vector2(0, 0),
+                new THREE.Vector2(1, 0)
+            ]
+            geometry.faces.push(
+                new THREE.Face3(0, 2, 1),
+                new THREE.Face3(1, 2, 3)
+            );
+            geometry.faceVertexUvs[0].push(
+                [uv[0], uv[2], uv[1]],
+                [uv[1], uv[2], uv[3]]
+            );
 
-        this.arcs.forEach(a => {
-            if(a.arcGroup == null) {
-                a.arcGroup = [a];
-            }
-            a.arcGroup.sort((a, b) => {
-                return a.time - b.time;
+            var line = new THREE.Mesh(geometry, material);
+
+            arctap.connections.filter(c => {
+                return c.tap == t;
+            }).forEach(el => {
+                GameplayManager.instance.game.removeObject(el.line);
+                var i = arctap.connections.indexOf(el);
+                if(i != -1) arctap.connections.splice(i, 1);
+            });
+
+            GameplayManager.instance.game.getGroupObject(arctap.timingGroup).add(line);
+            arctap.connections.push({
+                line, tap: t
             });
         });
+    }
+
+    /**
+     * @param {ArctapNote} arctap 
+     */
+    removeArcTapConnection(arctap) {
+        arctap.connections.forEach(el => {
+            GameplayManager.instance.game.removeObject(el.line);
+        });
+        arctap.connections = [];
+    }
+
+    /**
+     * @param {Arc} arc 
+     */
+    destroyArc(arc) {
+        arc.arcRenderer.destroy();
+        GameplayManager.instance.game.removeObject(arc.gameObject);
+
+        arc.arcTaps.forEach(t => {
+            this.destroyArcTap(t);
+        });
+    }
+
+    /**
+     * @param {ArctapNote} arctap 
+     */
+    destroyArcTap(arctap) {
+        this.removeArcTapConnection(arctap);
+    }
+
+    /**
+     * @param {Arc} arc 
+     */
+    rebuildArc(arc) {
+        this.destroyArc(arc);
+        arc.arcRenderer.build();
+
+        arc.arcTaps.forEach(t => {
+            this.setupArcTapConnection(t);
+        });
+        GameplayManager.instance.game.getGroupObject(arc.timingGroup).add(arc.gameObject);
+    }
+
+    calculateArcRelationship() {
+        Arc.calculateArcRelationship(this.arcs);
 
+        var chart = GameplayManager.instance.game.chart;
+        var densityFactor = chart ? chart.getDensityFactor() : 1;
         this.arcs.forEach(a => {
-            a.calculateJudgeTimings();
+            a.calculateJudgeTimings(densityFactor);
         });
+        this.resetJudgement(GameplayManager.instance.timing);
     }
 
     update() {
         if(this.arcs.length == 0) return;
         if(GameplayManager.instance.autoplay) {
             this.judgeArcs();
+        } else {
+            this.judgeArcInput();
+            this.judgeArcTicks();
         }
         this.arcJudgePos = 0;
         this.renderArcs();
@@ -2695,24 +2543,185 @@ class ArcManager {
 
             if(a.judged && time > a.endTime + offset) return;
 
-            if(time > a.endTime + offset) {
-                a.judged = true;
-            } else if(time > a.time + offset && time <= a.endTime + offset) {
-                if(!a.isVoid) {
-                    if(!a.audioPlayed) {
-                        if(GameplayManager.instance.isPlaying) {
-                            // console.log("Play arc sound");
-                        }
-                        a.audioPlayed = true;
-                    }
-                }
-                a.arcGroup.forEach(b => {
-                    b.judging = true;
-                });
-            } else {
-                a.shouldPlayAudio = true;
+            if(time > a.endTime + offset) {
+                a.judged = true;
+            } else if(time > a.time + offset && time <= a.endTime + offset) {
+                if(!a.isVoid) {
+                    if(!a.audioPlayed) {
+                        if(GameplayManager.instance.isPlaying) {
+                            // console.log("Play arc sound");
+                        }
+                        a.audioPlayed = true;
+                    }
+                }
+                a.arcGroup.forEach(b => {
+                    b.judging = true;
+                });
+            } else {
+                a.shouldPlayAudio = true;
+            }
+        });
+    }
+
+    /**
+     * Finds the arcs followed by the fingers in manual play. An arc is followed by a finger on it,
+     * unless its color is locked to another finger or the finger is locked to another color,
+     * in which case the arc flashes red.
+     */
+    judgeArcInput() {
+        var time = GameplayManager.instance.timing;
+        var offset = GameplayManager.instance.audioManager.offset;
+        var pointers = Array.from(InputManager.instance.pointers.values());
+        this.releaseColorLocks();
+
+        this.arcs.forEach(a => {
+            a.judged = time > a.endTime + offset;
+            a.judging = false;
+            a.wrongColor = false;
+
+            if(a.timingGroup.noInput) {
+                // Nobody can play them, so they are played like in autoplay.
+                this.judgeArcTaps(a);
+                a.judging = !a.isVoid && time > a.time + offset && !a.judged;
+                return;
+            }
+            if(a.isVoid || time < a.time + offset || a.judged) return;
+
+            if(!InputManager.instance.pointerUsed) {
+                // Played with the keyboard only, so the arc follows itself.
+                a.judging = true;
+                return;
+            }
+
+            var fingers = pointers.filter(p => p.arc == a);
+            var finger = fingers.find(p => this.canFollow(p, a.color));
+            if(finger) {
+                this.colorLocks.set(a.color, finger.id);
+                a.judging = true;
+            } else if(fingers.length > 0) {
+                a.wrongColor = true;
+            }
+        });
+    }
+
+    /**
+     * Whether a finger can follow the arcs of a color.
+     * @param {InputPointer} pointer 
+     * @param {number} color 
+     */
+    canFollow(pointer, color) {
+        for(var [c, id] of this.colorLocks) {
+            if(c == color && id != pointer.id) return false;
+            if(c != color && id == pointer.id) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Unlocks the colors whose fingers are lifted, or which have had no arc for `ArcManager.colorLockTime`.
+     */
+    releaseColorLocks() {
+        var time = GameplayManager.instance.timing;
+        var offset = GameplayManager.instance.audioManager.offset;
+        this.colorLocks.forEach((id, color) => {
+            var active = this.arcs.some(a => {
+                return !a.isVoid && a.color == color && time >= a.time + offset - JudgementManager.windows.far
+                    && time <= a.endTime + offset + ArcManager.colorLockTime;
+            });
+            if(!active || !InputManager.instance.pointers.has(id)) {
+                this.colorLocks.delete(color);
+            }
+        });
+    }
+
+    /**
+     * Judges the arc ticks passed since the last frame in manual play, which are hit if the arc is followed,
+     * and loses the arctaps which have passed the hit window. The arctaps are hit by `JudgementManager.pressSky`.\
+     * Following the arcs and hitting the arctaps need a finger or the mouse. Until one has pressed,
+     * see `InputManager.pointerUsed`, the arcs follow themselves and the arctaps are hit on time.
+     */
+    judgeArcTicks() {
+        var time = GameplayManager.instance.timing;
+        var offset = GameplayManager.instance.audioManager.offset;
+        var judgement = JudgementManager.instance;
+
+        this.arcs.forEach(a => {
+            if(a.timingGroup.noInput) return;
+            while(a.tickIndex < a.judgeTimings.length && time >= a.judgeTimings[a.tickIndex] + offset) {
+                if(a.judging) {
+                    judgement.hit(a, 0);
+                } else {
+                    judgement.lost(a);
+                }
+                a.tickIndex++;
+            }
+
+            a.arcTaps.forEach(t => {
+                if(t.judged) return;
+                if(!InputManager.instance.pointerUsed && time >= t.time + offset) {
+                    t.judged = true;
+                    var hitsound = a.getHitsoundFile();
+                    if(hitsound) {
+                        GameplayManager.instance.audioManager.playHitsound(hitsound);
+                    }
+                    judgement.hit(t, 0);
+                } else if(time > t.time + offset + JudgementManager.windows.far) {
+                    t.judged = true;
+                    judgement.lost(t);
+                }
+            });
+        });
+    }
+
+    /**
+     * Skips the arc ticks and arctaps before the given time, and makes the later ones judgeable again.
+     * @param {number} timing 
+     */
+    resetJudgement(timing) {
+        var offset = GameplayManager.instance.audioManager.offset;
+        this.colorLocks.clear();
+        this.arcs.forEach(a => {
+            a.tickIndex = a.judgeTimings.filter(t => t + offset <= timing).length;
+            a.wrongColor = false;
+            a.arcTaps.forEach(t => {
+                t.judged = t.time + offset < timing;
+            });
+        });
+    }
+
+    /**
+     * Finds the arc closest to a finger, for it to follow. The arcs of a color the finger can't follow
+     * are chosen only if no other arc is close, so the finger stays on its own color where arcs cross.
+     * @param {InputPointer} pointer A finger with a position on the judge plane.
+     * @param {number} timing The time in milliseconds, like `GameplayManager.timing`.
+     * @param {Arc[]} taken The arcs followed by the other fingers. They are chosen only if no other arc is close.
+     * @returns {Arc | null}
+     */
+    findArc(pointer, timing, taken = []) {
+        var position = pointer.position;
+        var offset = GameplayManager.instance.audioManager.offset;
+        var best = null;
+        var bestDistance = Infinity;
+
+        this.arcs.forEach(a => {
+            if(a.isVoid || a.timingGroup.noInput) return;
+            if(timing < a.time + offset - JudgementManager.windows.far || timing > a.endTime + offset) return;
+
+            var p = a.getPositionAt(timing - offset);
+            var dx = position.x + ArcAlgorithm.arcXToWorld(p.x);
+            var dy = position.y - ArcAlgorithm.arcYToWorld(p.y);
+            var distance = Math.sqrt(dx * dx + dy * dy);
+            if(distance > InputManager.arcRange) return;
+
+            // Prefer the arcs which are free, so two fingers can follow two arcs.
+            if(taken.indexOf(a) != -1) distance += InputManager.arcRange;
+            if(!this.canFollow(pointer, a.color)) distance += InputManager.arcRange * 2;
+            if(distance < bestDistance) {
+                best = a;
+                bestDistance = distance;
             }
         });
+        return best;
     }
 
     /**
@@ -2729,8 +2738,9 @@ class ArcManager {
             if(t.judged) return;
             if(time > t.time + offset && time <= t.time + offset + 150) {
                 t.judged = true;
-                if(GameplayManager.instance.isPlaying) {
-                    // console.log("Play arctap sound");
+                var hitsound = arc.getHitsoundFile();
+                if(GameplayManager.instance.isPlaying && hitsound) {
+                    GameplayManager.instance.audioManager.playHitsound(hitsound);
                 }
             } else if(t > t.time + offset + 150) {
                 t.judged = true;
@@ -2741,7 +2751,10 @@ class ArcManager {
     renderArcs() {
         var time = GameplayManager.instance.timing;
         var offset = GameplayManager.instance.audioManager.offset;
+        var context = TimingManager.instance.getContext();
 
+        this.arcTapBatches.begin();
+        this.arcTapShadowBatches.begin();
         this.arcs.forEach(t => {
             this.renderArcTaps(t);
             var g = t.timingGroup;
@@ -2753,8 +2766,8 @@ class ArcManager {
                 return;
             }
 
-            t.position = g.getPosByTiming(t.time + offset);
-            t.endPosition = g.getPosByTiming(t.endTime + offset);
+            t.position = g.getPosByTiming(t.time + offset, context);
+            t.endPosition = g.getPosByTiming(t.endTime + offset, context);
             if(t.position > 100000 || t.endPosition < -20000) {
                 t.enabled = false;
                 t.gameObject.visible = false;
@@ -2772,39 +2785,38 @@ class ArcManager {
                     if(!a.flag) {
                         a.flag = true;
                         var alpha = 1;
+                        a.arcRenderer.flashRed = false;
                         if(a.judging) {
                             a.flashCount = (a.flashCount + 1) % 5;
                             if(a.flashCount == 0) {
                                 alpha = 0.85;
                             }
                             a.arcRenderer.highlight = true;
+                        } else if(a.wrongColor) {
+                            a.flashCount = (a.flashCount + 1) % 10;
+                            alpha = 0.65;
+                            a.arcRenderer.highlight = false;
+                            a.arcRenderer.flashRed = a.flashCount < 5;
                         } else {
                             alpha = 0.65;
                             a.arcRenderer.highlight = false;
                         }
 
-                        alpha *= 0.8823592;
-                        a.gameObject.children.forEach(gg => {
-                            gg.children.forEach(m => {
-                                m.material.opacity = alpha;
-                            });
-                        });
+                        a.arcRenderer.alpha = alpha * 0.8823592;
                     }
                 });
             } else {
                 t.arcRenderer.enableEffect = false;
                 t.arcRenderer.highlight = false;
-
-                t.gameObject.children.forEach(gg => {
-                    gg.children.forEach(m => {
-                        m.material.opacity = 0.318627;
-                    });
-                });
+                t.arcRenderer.alpha = 0.318627;
             }
 
             t.arcRenderer.update();
         });
 
+        this.arcTapBatches.end();
+        this.arcTapShadowBatches.end();
+
         this.arcs.forEach(t => {
             t.flag = false;
         });
@@ -2818,12 +2830,11 @@ class ArcManager {
         var time = GameplayManager.instance.timing;
         var g = arc.timingGroup;
         var offset = GameplayManager.instance.audioManager.offset;
+        var context = TimingManager.instance.getContext();
 
         arc.arcTaps.forEach(t => {
             if(!g.shouldRender(t.time + offset, 50) || t.judged) {
                 t.enabled = false;
-                t.gameObject.visible = false;
-                t.shadow.visible = false;
                 t.connections.forEach(c => {
                     c.line.visible = false;
                 });
@@ -2832,68 +2843,52 @@ class ArcManager {
 
             if(time > t.time + offset + 50) {
                 t.enabled = false;
-                t.gameObject.visible = false;
-                t.shadow.visible = false;
                 t.connections.forEach(c => {
                     c.line.visible = false;
                 });
                 return;
             }
 
-            var pos = g.getPosByTiming(t.time + offset) / 1000;
-            t.gameObject.position.set(
-                -ArcAlgorithm.arcXToWorld(ArcAlgorithm.resolveX(arc.start.x, arc.end.x, (t.time - arc.time) / (arc.endTime - arc.time), arc.lineType)), 
-                ArcAlgorithm.arcYToWorld(ArcAlgorithm.resolveY(arc.start.y, arc.end.y, (t.time - arc.time) / (arc.endTime - arc.time), arc.lineType)) - 0.5,
-                -pos - 0.38
-            );
-
-            t.shadow.position.set(
-                -ArcAlgorithm.arcXToWorld(ArcAlgorithm.resolveX(arc.start.x, arc.end.x, (t.time - arc.time) / (arc.endTime - arc.time), arc.lineType)), 
-                0.11,
-                -pos - 0.38
-            );
-
-            t.connections.forEach(c => {
-                c.line.position.z = -pos - 0.38;
-            });
-
-            if(pos > -10 && pos <= 90) {
-                t.gameObject.material.opacity = 1;
-                t.enabled = true;
-                t.gameObject.visible = true;
-                t.shadow.visible = true;
-                t.connections.forEach(c => {
-                    c.line.visible = true;
-                    c.line.material.opacity = 1;
-                });
-            } else if(pos > 90 && pos <= 100) {
-                t.enabled = true;
-                t.gameObject.visible = true;
-                t.gameObject.material.opacity = (100 - pos) / 10;
-                t.shadow.visible = true;
-                t.connections.forEach(c => {
-                    c.line.visible = true;
-                    c.line.material.opacity = (100 - pos) / 10;
-                });
-                t.shadow.material.opacity = (100 - pos) / 10;
-            } else {
+            var pos = g.getPosByTiming(t.time + offset, context) / 1000;
+            if(pos <= -10 || pos > 100) {
                 t.enabled = false;
-                t.gameObject.visible = false;
-                t.shadow.visible = false;
                 t.connections.forEach(c => {
                     c.line.visible = false;
                 });
+                return;
             }
+
+            var opacity = pos <= 90 ? 1 : (100 - pos) / 10;
+            var p = (t.time - arc.time) / (arc.endTime - arc.time);
+            var x = -ArcAlgorithm.arcXToWorld(ArcAlgorithm.resolveX(arc.start.x, arc.end.x, p, arc.lineType));
+            var y = ArcAlgorithm.arcYToWorld(ArcAlgorithm.resolveY(arc.start.y, arc.end.y, p, arc.lineType)) - 0.5;
+
+            t.enabled = true;
+            this.arcTapBatches.get(g).push(x, y, -pos - 0.38, 4.2746 * 0.95, 0.8 * 0.95, 0.8 * 0.95, opacity);
+            this.arcTapShadowBatches.get(g).push(x, 0.11, -pos - 0.38, 4.2746 * 0.95, 0.8 * 0.95, 0.8 * 0.95, opacity);
+
+            t.connections.forEach(c => {
+                c.line.position.z = -pos - 0.38;
+                c.line.visible = true;
+                c.line.material.opacity = opacity;
+            });
         });
     }
 
     rebuild() {
-        this.arcs.forEach(a => a.rebuild());
+        this.arcs.forEach(a => this.rebuildArc(a));
         this.calculateArcRelationship();
     }
 }
 /** @type {ArcManager} */
 ArcManager.instance = null;
+/** @type {TMaterial} */
+ArcManager.arcTapMaterial = null;
+/** @type {TMaterial} */
+ArcManager.arcTapShadowMaterial = null;
+
+/** How long a color stays locked to a finger after its last arc has ended, in milliseconds. */
+ArcManager.colorLockTime = 500;
 
 class HoldManager {
     constructor() {
@@ -2901,53 +2896,129 @@ class HoldManager {
 
         /** @type {HoldNote[]} */
         this.holds = [];
-        this.lanes = [
-            -ArcAlgorithm.arcXToWorld(-0.25),
-            -ArcAlgorithm.arcXToWorld(0.25),
-            -ArcAlgorithm.arcXToWorld(0.75),
-            -ArcAlgorithm.arcXToWorld(1.25),
-        ];
+        /** The world X of each lane, by lane. The lanes 0 and 5 are added by `enwidenlanes`. */
+        this.lanes = [0, 1, 2, 3, 4, 5].map(lane => -ArcAlgorithm.arcXToWorld(lane * 0.5 - 0.75));
+        this.batches = new NoteBatchSet(() => new THREE.PlaneBufferGeometry(1, 1), () => HoldManager.material);
     }
 
     clean() {
-        this.holds.forEach(h => {
-            h.destroy();
-        });
+        this.batches.clean();
         this.holds = [];
     }
 
+    /**
+     * Creates the material shared by every hold note. Called once the textures are preloaded,
+     * so it falls back to a plain color if the texture failed to load.
+     */
+    static createMaterial() {
+        var texture = AssetManager.instance.getTexture("HoldNote.png");
+        HoldManager.material = NoteBatch.createMaterial({
+            color: texture ? 0xffffff : 0x8dcee6,
+            map: texture,
+            transparent: true,
+            clippingPlanes: [
+                new THREE.Plane( new THREE.Vector3( 0, 0, -1 ), 0 ),
+                new THREE.Plane( new THREE.Vector3( 0, 0, 1 ), 100)
+            ]
+        });
+    }
+
     /**
      * @param {HoldNote[]} holds
      */
     load(holds) {
         this.holds = holds;
+        this.batches.reserve(holds);
+
+        // The ticks make a hold count more than once into the combo, like in the game.
+        var chart = GameplayManager.instance.game.chart;
+        var densityFactor = chart ? chart.getDensityFactor() : 1;
         holds.forEach(h => {
-            h.gameObject = HoldNote.newObject();
-            GameplayManager.instance.game.scene.add(h.gameObject);
+            h.calculateJudgeTimings(densityFactor);
         });
+        this.resetJudgement(GameplayManager.instance.timing);
     }
 
     /** 
      * @param {HoldNote} hold
      */
     add(hold) {
-        hold.gameObject = HoldNote.newObject();
-        GameplayManager.instance.game.scene.add(hold.gameObject);
         this.holds.push(hold);
     }
 
     remove(hold) {
-        hold.destroy();
         var i = this.holds.indexOf(hold);
         if(i != -1) this.holds.splice(i, 1);
+
+        // `update()` stops rendering when there are no holds.
+        if(this.holds.length == 0) this.batches.clean();
     }
 
     update() {
         if(this.holds.length == 0) return;
-        if(GameplayManager.instance.autoplay) this.judgeHoldNotes();
+        if(GameplayManager.instance.autoplay) {
+            this.judgeHoldNotes();
+        } else {
+            this.judgeHoldInput();
+        }
         this.renderHoldNotes();
     }
 
+    /**
+     * Judges the holds in manual play. A hold has to be hit at the head by `JudgementManager.pressLane`
+     * and kept down, or its ticks are lost.
+     */
+    judgeHoldInput() {
+        var offset = GameplayManager.instance.audioManager.offset;
+        var time = GameplayManager.instance.timing;
+        var judgement = JudgementManager.instance;
+
+        this.holds.forEach(h => {
+            if(h.judged) return;
+            if(h.timingGroup.noInput) {
+                if(time > h.endTime + offset) h.judged = true;
+                return;
+            }
+
+            if(!h.headJudged && time > h.time + offset + JudgementManager.windows.far) {
+                h.headJudged = true;
+                judgement.lost(h);
+            }
+
+            if(h.judging && !InputManager.instance.isLaneDown(h.lane)) {
+                h.judging = false;
+            }
+
+            while(h.tickIndex < h.judgeTimings.length && time >= h.judgeTimings[h.tickIndex] + offset) {
+                if(h.judging) {
+                    judgement.hit(h, 0);
+                } else {
+                    judgement.lost(h);
+                }
+                h.tickIndex++;
+            }
+
+            if(time > h.endTime + offset) {
+                h.judged = true;
+                h.judging = false;
+            }
+        });
+    }
+
+    /**
+     * Skips the holds and ticks before the given time, and makes the later ones judgeable again.
+     * @param {number} timing 
+     */
+    resetJudgement(timing) {
+        var offset = GameplayManager.instance.audioManager.offset;
+        this.holds.forEach(h => {
+            h.judged = h.endTime + offset < timing;
+            h.judging = false;
+            h.headJudged = h.time + offset < timing;
+            h.tickIndex = h.judgeTimings.filter(t => t + offset <= timing).length;
+        });
+    }
+
     judgeHoldNotes() {
         var offset = GameplayManager.instance.audioManager.offset;
         var time = GameplayManager.instance.timing;
@@ -2981,38 +3052,315 @@ class HoldManager {
 
     renderHoldNotes() {
         var offset = GameplayManager.instance.audioManager.offset;
+        var time = GameplayManager.instance.timing;
+        var context = TimingManager.instance.getContext();
         
+        this.batches.begin();
         this.holds.forEach(t => {
             var g = t.timingGroup;
             var duration = t.endTime - t.time;
             if(!g.shouldRender(t.time + offset, duration + 120) || t.judged) {
-                t.gameObject.visible = false;
                 t.enabled = false;
                 return;
             }
 
-            t.position = g.getPosByTiming(t.time + offset);
-            var endPosition = g.getPosByTiming(t.endTime + offset);
+            t.position = g.getPosByTiming(t.time + offset, context);
+            var endPosition = g.getPosByTiming(t.endTime + offset, context);
             if(t.position > 100000 || endPosition < -10000) {
-                t.gameObject.visible = false;
                 t.enabled = false;
                 return;
             }
 
-            t.gameObject.visible = true;
             t.enabled = true;
             var pos = t.position / 1000;
             var length = (endPosition - t.position) / 1000;
 
-            t.gameObject.position.set(this.lanes[t.lane - 1], 0.11, -pos - length / 2);
-            t.gameObject.scale.set(4.2746 * 0.95, length, 1 * 0.95);
-
-            t.gameObject.material.opacity = pos < 90 ? 1 : (100 - pos) / 10;
+            var opacity = pos < 90 ? 1 : (100 - pos) / 10;
+            if(g.fadingHolds && duration > 0) {
+                opacity *= 1 - Utils.clamp((time - t.time - offset) / duration, 0, 1);
+            }
+            this.batches.get(g).push(
+                this.lanes[t.lane], 0.11, -pos - length / 2,
+                4.2746 * 0.95, length, 1 * 0.95,
+                opacity
+            );
         });
+        this.batches.end();
     }
 }
 /** @type {HoldManager} */
 HoldManager.instance = null;
+/** @type {TMaterial} */
+HoldManager.material = null;
+
+/**
+ * Steps through the differences between the loaded chart and another revision of it,
+ * seeking to each change and highlighting it on the track.
+ */
+class DiffManager {
+    constructor() {
+        DiffManager.instance = this;
+
+        /** @type {ChartDiffEntry[]} */
+        this.entries = [];
+        this.index = -1;
+
+        var material = new THREE.MeshBasicMaterial({
+            wireframe: true,
+            transparent: true,
+            opacity: 0.8
+        });
+        /** @type {TMesh} */
+        this.marker = new THREE.Mesh(new THREE.BoxGeometry(1, 1, 1), material);
+        this.marker.visible = false;
+    }
+
+    clean() {
+        this.entries = [];
+        this.index = -1;
+        this.marker.visible = false;
+        if(this.marker.parent) {
+            this.marker.parent.remove(this.marker);
+        }
+    }
+
+    /**
+     * Compares the loaded chart to an older revision of it. The older revision is mirrored like the loaded chart.
+     * @param {Chart} before 
+     */
+    load(before) {
+        var game = GameplayManager.instance.game;
+        this.clean();
+        if(!game.chart) return;
+        if(before.mirrored != game.chart.mirrored) {
+            before.mirror();
+        }
+        this.entries = Chart.diff(before, game.chart);
+    }
+
+    /**
+     * Moves to the next or the previous change and seeks a bit before it.
+     * @param {number} direction 1 for the next change, -1 for the previous one.
+     * @returns {ChartDiffEntry | null}
+     */
+    step(direction) {
+        if(this.entries.length == 0) return null;
+        this.index = (this.index + direction + this.entries.length) % this.entries.length;
+
+        var entry = this.entries[this.index];
+        var gameplayManager = GameplayManager.instance;
+        gameplayManager.timing = Math.max(0, entry.time + gameplayManager.audioManager.offset - DiffManager.leadTime);
+        return entry;
+    }
+
+    update() {
+        var entry = this.entries[this.index];
+        if(!entry || entry.type == "timinggroup") {
+            this.marker.visible = false;
+            return;
+        }
+
+        // Removed events are not in the loaded chart, so the marker is placed where they would be.
+        var game = GameplayManager.instance.game;
+        var group = game.chart.timingGroups[entry.group] || game.chart.getPrimaryTimingGroup();
+        var groupObject = game.getGroupObject(group);
+        if(this.marker.parent != groupObject) {
+            groupObject.add(this.marker);
+        }
+
+        /** @type {ArcaeaEvent} */
+        var event = entry.after || entry.before;
+        var offset = GameplayManager.instance.audioManager.offset;
+        var pos = group.getPosByTiming(event.time + offset, TimingManager.instance.getContext()) / 1000;
+
+        var x = 0, y = 0.11, width = 17.1;
+        if(event instanceof TapNote || event instanceof HoldNote) {
+            x = -ArcAlgorithm.arcXToWorld(event.lane * 0.5 - 0.75);
+            width = 4.2746;
+        } else if(event instanceof Arc) {
+            x = -ArcAlgorithm.arcXToWorld(event.start.x);
+            y = ArcAlgorithm.arcYToWorld(event.start.y);
+            width = 2;
+        }
+
+        this.marker.visible = pos > -10 && pos < 100;
+        this.marker.position.set(x, y, -pos);
+        this.marker.scale.set(width, 1, 2);
+        this.marker.material.color.setHex(DiffManager.colors[entry.kind]);
+    }
+}
+/** @type {DiffManager} */
+DiffManager.instance = null;
+
+/** How long before a change to seek to, in milliseconds, so it can be seen coming. */
+DiffManager.leadTime = 500;
+
+/** @type {Object<ChartDiffKind, number>} */
+DiffManager.colors = {
+    added: 0x43a047,
+    removed: 0xd50000,
+    modified: 0xffa000
+};
+
+/**
+ * Shows the results when a song ends in manual play: the score, the grade, the judgement counts,
+ * the clear type and a histogram of the hit offsets.
+ */
+class ResultManager {
+    constructor() {
+        ResultManager.instance = this;
+        this.wasPlaying = false;
+        this.shown = false;
+    }
+
+    clean() {
+        this.hide();
+        this.wasPlaying = false;
+    }
+
+    update() {
+        var audioManager = GameplayManager.instance.audioManager;
+        // The legacy audio manager can stop a frame before its timing reaches the end.
+        var atEnd = audioManager.timing >= audioManager.length() || audioManager.audioElem.ended;
+        var ended = this.wasPlaying && !audioManager.isPlaying && atEnd;
+        this.wasPlaying = audioManager.isPlaying;
+
+        if(ended && !GameplayManager.instance.autoplay) {
+            this.show();
+        }
+    }
+
+    getResult() {
+        var j = JudgementManager.instance;
+        var total = GameplayManager.instance.game.countTotal();
+        var score = j.getScore(total);
+        return {
+            score,
+            grade: ResultManager.getGrade(score),
+            clearType: ResultManager.getClearType(j, total),
+            pure: j.pureCount,
+            maxPure: j.maxPureCount,
+            far: j.farCount,
+            lost: j.lostCount,
+            maxCombo: j.maxCombo,
+            early: j.earlyCount,
+            late: j.lateCount
+        };
+    }
+
+    show() {
+        var result = this.getResult();
+        var text = (id, value) => {
+            document.getElementById(id).innerText = value;
+        };
+
+        text("result-score", String(result.score).padStart(8, "0"));
+        text("result-grade", result.grade);
+        text("result-clear", ResultManager.clearNames[result.clearType]);
+        text("result-pure", `${result.pure} (+${result.maxPure})`);
+        text("result-far", result.far);
+        text("result-lost", result.lost);
+        text("result-combo", result.maxCombo);
+        text("result-early-late", `EARLY ${result.early} / LATE ${result.late}`);
+        this.drawHistogram(document.getElementById("result-histogram"), JudgementManager.instance.offsets);
+
+        document.getElementById("result-overlay").classList.add("show");
+        this.shown = true;
+    }
+
+    hide() {
+        document.getElementById("result-overlay").classList.remove("show");
+        this.shown = false;
+    }
+
+    /**
+     * Draws how many hits fell into each `ResultManager.histogramBin` of the Far window,
+     * with the Pure window shaded and the note time marked in the middle.
+     * @param {HTMLCanvasElement} canvas 
+     * @param {number[]} offsets 
+     */
+    drawHistogram(canvas, offsets) {
+        var ctx = canvas.getContext("2d");
+        var width = canvas.width;
+        var height = canvas.height;
+        ctx.clearRect(0, 0, width, height);
+
+        var windows = JudgementManager.windows;
+        var bin = ResultManager.histogramBin;
+        var binCount = Math.ceil(windows.far / bin) * 2;
+        var counts = new Array(binCount).fill(0);
+        offsets.forEach(o => {
+            var i = Math.floor((o + windows.far) / bin);
+            counts[Math.min(Math.max(i, 0), binCount - 1)]++;
+        });
+
+        var toX = offset => (offset + windows.far) / (windows.far * 2) * width;
+        ctx.fillStyle = "rgba(255, 255, 255, 0.1)";
+        ctx.fillRect(toX(-windows.pure), 0, toX(windows.pure) - toX(-windows.pure), height);
+
+        var peak = Math.max.apply(Math, counts) || 1;
+        var w = width / binCount;
+        counts.forEach((count, i) => {
+            var offset = i * bin - windows.far + bin / 2;
+            var h = count / peak * (height - 2);
+            ctx.fillStyle = Math.abs(offset) <= windows.pure ? "#f8bbd0" : "#ffb74d";
+            ctx.fillRect(i * w + 1, height - h, w - 2, h);
+        });
+
+        ctx.fillStyle = "#fff";
+        ctx.fillRect(width / 2 - 0.5, 0, 1, height);
+    }
+
+    /**
+     * @param {number} score 
+     */
+    static getGrade(score) {
+        var grade = ResultManager.grades.find(g => score >= g.score);
+        return grade ? grade.name : "D";
+    }
+
+    /**
+     * Pure Memory and Full Recall have no Far or no Lost. Otherwise the track is complete
+     * if the hit notes reach `ResultManager.clearRate`, which stands in for the recollection gauge.
+     * @param {JudgementManager} judgement 
+     * @param {number} total 
+     * @returns {ClearType}
+     */
+    static getClearType(judgement, total) {
+        var hits = judgement.pureCount + judgement.farCount;
+        if(hits == 0) return "trackLost";
+        if(judgement.lostCount == 0) {
+            return judgement.farCount == 0 ? "pureMemory" : "fullRecall";
+        }
+        return hits / (total || 1) >= ResultManager.clearRate ? "trackComplete" : "trackLost";
+    }
+}
+/** @type {ResultManager} */
+ResultManager.instance = null;
+
+/** The lowest score of each grade, from the highest grade. Lower than all of them is D. */
+ResultManager.grades = [
+    { name: "EX+", score: 9900000 },
+    { name: "EX", score: 9800000 },
+    { name: "AA", score: 9500000 },
+    { name: "A", score: 9200000 },
+    { name: "B", score: 8900000 },
+    { name: "C", score: 8600000 }
+];
+
+/** The ratio of the notes to hit for a Track Complete. */
+ResultManager.clearRate = 0.7;
+
+/** The width of each bar of the offset histogram, in milliseconds. */
+ResultManager.histogramBin = 10;
+
+/** @type {Object<ClearType, string>} */
+ResultManager.clearNames = {
+    trackLost: "TRACK LOST",
+    trackComplete: "TRACK COMPLETE",
+    fullRecall: "FULL RECALL",
+    pureMemory: "PURE MEMORY"
+};
 
 class GameBase {
     /** 
@@ -3029,7 +3377,28 @@ class GameBase {
         this.camera = new THREE.PerspectiveCamera(50, aspect, 1, 10000);
         this.backCamera = new THREE.OrthographicCamera(1920 / -2, 1920 / 2, 1080 / 2, 1080 / -2, 0, 100);
         this.gameplayManager = new GameplayManager(this);
-        this.setupScene();
+        this.assetManager = new AssetManager();
+
+        /**
+         * The objects hidden by `trackhide`.
+         * @type {TObject3D[]}
+         */
+        this.trackObjects = [];
+
+        /** @type {TMesh} */
+        this.track = null;
+
+        /** @type {TMesh} */
+        this.criticalLine = null;
+
+        /**
+         * The division lines of the lanes 0 and 5, shown by `enwidenlanes`.
+         * @type {TMesh[]}
+         */
+        this.enwidenDividers = [];
+
+        /** Resolves when the assets are loaded and the scene is set up. */
+        this.ready = this.assetManager.preload().then(() => this.setupScene());
 
         var renderer = this.renderer = new THREE.WebGLRenderer({
             canvas,
@@ -3048,12 +3417,20 @@ class GameBase {
         /** @type {Chart} */
         this.chart = null;
 
+        /** @type {Map<TimingGroup, TObject3D>} */
+        this.groupObjects = new Map();
+
         this.timingManager = new TimingManager();
         this.cameraManager = new CameraManager(this.camera);
+        this.sceneControlManager = new SceneControlManager();
 
         this.tapNoteManager = new TapNoteManager();
         this.arcManager = new ArcManager();
         this.holdManager = new HoldManager();
+        this.diffManager = new DiffManager();
+        this.judgementManager = new JudgementManager();
+        this.inputManager = new InputManager();
+        this.resultManager = new ResultManager();
 
         this.albumSrc = "./assets/charts/a0/base.jpg";
         this.songName = "--";
@@ -3061,6 +3438,9 @@ class GameBase {
         this.difficultyType = 2;
         this.difficultyLvl = "7";
 
+        /** Whether to play the charts mirrored. Applied when a chart is loaded. */
+        this.mirror = false;
+
         this.update();
     }
 
@@ -3074,6 +3454,13 @@ class GameBase {
         this.setupCamera();
         this.setupBackground();
         this.setupTrack();
+        this.setupMaterials();
+    }
+
+    setupMaterials() {
+        TapNoteManager.createMaterial();
+        HoldManager.createMaterial();
+        ArcManager.createMaterials();
     }
 
     setupCamera() {
@@ -3093,10 +3480,9 @@ class GameBase {
 
     setupBackground() {
         var plane = new THREE.PlaneGeometry(1920, 1080);
-        var loader = new THREE.TextureLoader();
-        var bg = GameplayManager.instance.colorsOnly ? null: loader.load("./assets/textures/Axiumcrisis.jpg");
+        var bg = AssetManager.instance.getTexture("Axiumcrisis.jpg");
         var material = new THREE.MeshBasicMaterial({
-            color: GameplayManager.instance.colorsOnly ? 0x171433 : 0xffffff,
+            color: bg ? 0xffffff : 0x171433,
             map: bg
         });
         var obj = new THREE.Mesh(plane, material);
@@ -3107,15 +3493,14 @@ class GameBase {
     setupTrack() {
         var plane = new THREE.PlaneGeometry();
         var box = new THREE.BoxGeometry();
-        var loader = new THREE.TextureLoader();
 
         var trackMaterial = null;
-        if(GameplayManager.instance.colorsOnly) {
+        var trackTexture = AssetManager.instance.getTexture("TrackWhite.png");
+        if(!trackTexture) {
             trackMaterial = new THREE.MeshBasicMaterial({
                 color: 0xffffff
             });
         } else {
-            var trackTexture = loader.load("./assets/textures/TrackWhite.png");
             trackTexture.wrapT = THREE.RepeatWrapping;
             trackTexture.repeat.set(1, 55);
             setInterval(() => {
@@ -3140,42 +3525,43 @@ class GameBase {
         cube.position.x = 0;
         cube.position.y = 0;
         cube.position.z = -25.5;
-        cube.scale.x = 10.24 * 1.78965;
+        cube.scale.x = GameBase.trackWidth;
         cube.scale.y = 0.1;
         cube.scale.z = 153.5;
         cube.renderOrder = -9999;
         this.scene.add( cube );
+        this.track = cube;
+        this.trackObjects.push(cube);
 
         // Sky Input
-        var skTexture = GameplayManager.instance.colorsOnly ? null : loader.load("./assets/textures/SkyInputLine.png");
-        var skLabelTexture = GameplayManager.instance.colorsOnly ? null : loader.load("./assets/textures/SkyInputLabel.png");
+        var skTexture = AssetManager.instance.getTexture("SkyInputLine.png");
+        var skLabelTexture = AssetManager.instance.getTexture("SkyInputLabel.png");
         var skMaterial = new THREE.MeshBasicMaterial({
-            color: GameplayManager.instance.colorsOnly ? 0xff5555 : 0xffffff,
+            color: skTexture ? 0xffffff : 0xff5555,
             map: skTexture,
             transparent: true,
-            opacity: GameplayManager.instance.colorsOnly ? 0.5 : 1,
+            opacity: skTexture ? 1 : 0.5,
             side: THREE.DoubleSide
         });
         var skLabelMaterial = new THREE.MeshBasicMaterial({
             color: 0xffffff,
             map: skLabelTexture,
             transparent: true,
-            opacity: GameplayManager.instance.colorsOnly ? 0 : 1,
+            opacity: skLabelTexture ? 1 : 0,
             side: THREE.DoubleSide
         });
 
-        var dTexture = GameplayManager.instance.colorsOnly ? null : loader.load("./assets/textures/TrackLaneDivider.png");
+        var dTexture = AssetManager.instance.getTexture("TrackLaneDivider.png");
         var dMaterial = new THREE.MeshBasicMaterial({
-            color: GameplayManager.instance.colorsOnly ? 0 : 0xffffff,
+            color: dTexture ? 0xffffff : 0,
             map: dTexture,
             transparent: true,
-            opacity: GameplayManager.instance.colorsOnly ? 0.1 : 1
+            opacity: dTexture ? 1 : 0.1
         });
 
-        // 3 division lines.
-        for(var i=0; i<3; i++) {
-            var dLine = new THREE.Mesh(plane, dMaterial);
-            dLine.position.set(-ArcAlgorithm.arcXToWorld(i * 0.5), 0.0505, -75.5 / 2 + 0.5);
+        var createDivider = (x, material) => {
+            var dLine = new THREE.Mesh(plane, material);
+            dLine.position.set(-ArcAlgorithm.arcXToWorld(x), 0.0505, -75.5 / 2 + 0.5);
             dLine.scale.x = 0.1;
             dLine.scale.y = 75.5;
             dLine.scale.z = 1;
@@ -3183,37 +3569,54 @@ class GameBase {
             dLine.renderOrder = -500;
             this.scene.add(dLine);
 
-            
-            var dLineR = new THREE.Mesh(plane, dMaterial);
-            dLineR.position.set(-ArcAlgorithm.arcXToWorld(i * 0.5), 0.0505, 10.5 / 2);
+            var dLineR = new THREE.Mesh(plane, material);
+            dLineR.position.set(-ArcAlgorithm.arcXToWorld(x), 0.0505, 10.5 / 2);
             dLineR.scale.x = 0.1;
             dLineR.scale.y = -10.5;
             dLineR.scale.z = 1;
             dLineR.setRotationFromEuler(new THREE.Euler(-90 / 180 * Math.PI, 0, 0));
             dLineR.renderOrder = -500;
             this.scene.add(dLineR);
+            return [dLine, dLineR];
+        };
+
+        // 3 division lines.
+        for(var i=0; i<3; i++) {
+            this.trackObjects.push.apply(this.trackObjects, createDivider(i * 0.5, dMaterial));
         }
 
-        var clTexture = GameplayManager.instance.colorsOnly ? null : loader.load("./assets/textures/TrackCriticalLine.png");
+        // The division lines between the lanes 0, 1 and 4, 5, faded in by `enwidenlanes`.
+        var eMaterial = dMaterial.clone();
+        [-0.5, 1.5].forEach(x => {
+            createDivider(x, eMaterial).forEach(obj => {
+                obj.visible = false;
+                obj.userData.opacity = dMaterial.opacity;
+                this.enwidenDividers.push(obj);
+            });
+        });
+
+        var clTexture = AssetManager.instance.getTexture("TrackCriticalLine.png");
         var clMaterial = new THREE.MeshBasicMaterial({
-            color: GameplayManager.instance.colorsOnly ? 0x4f4463 : 0xffffff,
+            color: clTexture ? 0xffffff : 0x4f4463,
             map: clTexture,
             transparent: true
         });
 
         var criticalLine = new THREE.Mesh(plane, clMaterial );
-        criticalLine.position.set(0, 0.051, GameplayManager.instance.colorsOnly ? 0.15 : 0);
-        criticalLine.scale.x = 17.1;
-        criticalLine.scale.y = GameplayManager.instance.colorsOnly ? 0.4 : 1;
+        criticalLine.position.set(0, 0.051, clTexture ? 0 : 0.15);
+        criticalLine.scale.x = GameBase.criticalLineWidth;
+        criticalLine.scale.y = clTexture ? 1 : 0.4;
         criticalLine.scale.z = 1;
         criticalLine.setRotationFromEuler(new THREE.Euler(-90 / 180 * Math.PI, 0, 0));
         criticalLine.renderOrder = -300;
         this.scene.add( criticalLine );
+        this.trackObjects.push(criticalLine);
+        this.criticalLine = criticalLine;
 
         var skLine = new THREE.Mesh(plane, skMaterial);
         skLine.position.y = 5.5;
         skLine.scale.x = 1920;
-        skLine.scale.y = GameplayManager.instance.colorsOnly ? 0.1 : 0.25;
+        skLine.scale.y = skTexture ? 0.25 : 0.1;
         skLine.renderOrder = 9999;
         this.scene.add(skLine);
 
@@ -3233,6 +3636,46 @@ class GameBase {
         ArcManager.instance.clean();
         HoldManager.instance.clean();
         CameraManager.instance.clean();
+        SceneControlManager.instance.clean();
+        DiffManager.instance.clean();
+        JudgementManager.instance.clean();
+        InputManager.instance.clean();
+        ResultManager.instance.clean();
+
+        this.groupObjects.forEach(o => {
+            this.scene.remove(o);
+        });
+        this.groupObjects.clear();
+    }
+
+    /**
+     * Returns the scene object holding the notes of a timing group,
+     * rotated by the `anglex` and `angley` attributes of the group.
+     * @param {TimingGroup} timingGroup 
+     */
+    getGroupObject(timingGroup) {
+        var obj = this.groupObjects.get(timingGroup);
+        if(!obj) {
+            obj = new THREE.Group();
+            obj.setRotationFromEuler(new THREE.Euler(
+                timingGroup.angleX / 10 / 180 * Math.PI,
+                timingGroup.angleY / 10 / 180 * Math.PI,
+                0
+            ));
+            this.groupObjects.set(timingGroup, obj);
+            this.scene.add(obj);
+        }
+        return obj;
+    }
+
+    /**
+     * Removes an object from whichever group or scene it was added to.
+     * @param {TObject3D} obj 
+     */
+    removeObject(obj) {
+        if(obj && obj.parent) {
+            obj.parent.remove(obj);
+        }
     }
 
     /**
@@ -3243,14 +3686,80 @@ class GameBase {
     load(chart, audio) {
         this.clean();
         this.chart = chart;
+        if(chart.mirrored != this.mirror) {
+            chart.mirror();
+        }
 
         var tg = chart.getPrimaryTimingGroup();
-        this.gameplayManager.audioManager.load(audio, chart.offset).then(() => {
+        this.loadHitsounds(chart);
+        Promise.all([this.ready, this.gameplayManager.audioManager.load(audio, chart.offset)]).then(() => {
             this.timingManager.load(tg, tg.getTimingEvents());
             this.tapNoteManager.load(chart.taps());
             this.arcManager.load(chart.arcs());
             this.holdManager.load(chart.holds());
             this.cameraManager.load(chart.cameras());
+            this.sceneControlManager.load(chart.sceneControls());
+            this.renderDensityGraph();
+        });
+    }
+
+    /**
+     * Plays the chart again from the start in manual play.
+     */
+    retry() {
+        var audioManager = this.gameplayManager.audioManager;
+        this.resultManager.hide();
+        audioManager.setTime(0);
+        audioManager.play();
+    }
+
+    /**
+     * Draws the note density of the chart under the progress bar, so the hard sections can be seen ahead.
+     */
+    renderDensityGraph() {
+        var canvas = document.getElementById("density-graph");
+        if(!canvas || !this.chart) return;
+
+        var ctx = canvas.getContext("2d");
+        var width = canvas.width;
+        var height = canvas.height;
+        ctx.clearRect(0, 0, width, height);
+
+        var stats = this.chart.getStatistics();
+        var length = this.gameplayManager.length || stats.length + this.chart.offset;
+        if(length <= 0 || stats.peakDensity.nps <= 0) return;
+
+        ctx.fillStyle = "rgba(255, 255, 255, 0.75)";
+        var values = stats.density.values;
+        values.forEach((nps, i) => {
+            var time = i * stats.density.step + this.chart.offset;
+            var x = time / length * width;
+            var w = stats.density.step / length * width;
+            var h = nps / stats.peakDensity.nps * height;
+            ctx.fillRect(x - w, height - h, Math.max(w, 1), h);
+        });
+    }
+
+    /**
+     * Loads the custom arctap hitsounds from the folder of the chart.
+     * @param {Chart} chart 
+     */
+    loadHitsounds(chart) {
+        var audioManager = this.gameplayManager.audioManager;
+        audioManager.clearHitsounds();
+        if(!chart.url) return;
+
+        var folder = chart.url.substring(0, chart.url.lastIndexOf("/") + 1);
+        var names = [];
+        chart.arcs().forEach(a => {
+            var name = a.getHitsoundFile();
+            if(name && names.indexOf(name) == -1) names.push(name);
+        });
+
+        names.forEach(name => {
+            audioManager.loadHitsound(name, folder + name).catch(ex => {
+                console.warn(ex);
+            });
         });
     }
 
@@ -3259,8 +3768,9 @@ class GameBase {
         var time = this.gameplayManager.timing - offset;
 
         var count = 0;
-        count += this.tapNoteManager.taps.filter(t => t.time < time).length;
+        count += this.tapNoteManager.taps.filter(t => t.time < time && !t.timingGroup.noInput).length;
         this.holdManager.holds.forEach(h => {
+            if(h.timingGroup.noInput) return;
             count += h.judgeTimings.filter(t => t <= time).length;
             if(h.time < time) {
                 count++;
@@ -3268,6 +3778,7 @@ class GameBase {
         });
         
         this.arcManager.arcs.forEach(a => {
+            if(a.timingGroup.noInput) return;
             if(a.isVoid) {
                 count += a.arcTaps.filter(t => t.time < time).length;
             } else {
@@ -3279,12 +3790,14 @@ class GameBase {
 
     countTotal() {
         var count = 0;
-        count += this.tapNoteManager.taps.length;
+        count += this.tapNoteManager.taps.filter(t => !t.timingGroup.noInput).length;
         this.holdManager.holds.forEach(h => {
+            if(h.timingGroup.noInput) return;
             count += h.judgeTimings.length + 1;
         });
         
         this.arcManager.arcs.forEach(a => {
+            if(a.timingGroup.noInput) return;
             if(a.isVoid) {
                 count += a.arcTaps.length;
             } else {
@@ -3296,12 +3809,37 @@ class GameBase {
 
     countScore() {
         var total = this.countTotal() || 1;
+        if(!this.gameplayManager.autoplay) {
+            return [this.judgementManager.getScore(total), this.judgementManager.combo, total];
+        }
+
         var combo = this.countCombo();
         var score = Math.floor(10000000 * combo / total) + combo;
 
         return [score, combo, total];
     }
 
+    /**
+     * Shows the judgement counts and the early or late indicator in manual play.
+     */
+    updateJudgementText() {
+        var countsText = document.getElementById("judge-counts");
+        var earlyLateText = document.getElementById("early-late");
+        var j = this.judgementManager;
+        if(this.gameplayManager.autoplay) {
+            countsText.innerText = "";
+            earlyLateText.innerText = "";
+            return;
+        }
+
+        countsText.innerText = `PURE ${j.pureCount} (${j.maxPureCount})  FAR ${j.farCount}  LOST ${j.lostCount}`;
+
+        var last = j.lastEarlyLate;
+        var shown = last && Math.abs(this.gameplayManager.timing - last.timing) < JudgementManager.earlyLateDuration;
+        earlyLateText.innerText = shown ? (last.early ? "EARLY" : "LATE") : "";
+        earlyLateText.className = shown ? (last.early ? "early" : "late") : "";
+    }
+
     update() {
         window.requestAnimationFrame(() => {
             this.update();
@@ -3321,16 +3859,22 @@ class GameBase {
         this.gameplayManager.update();
         
         if(this.chart) {
+            var context = this.timingManager.getContext();
             this.chart.timingGroups.forEach(t => {
-                t.updateRenderRange();
+                t.updateRenderRange(context);
             });
         }
         
         this.timingManager.update();
+        this.inputManager.update();
+        this.judgementManager.update();
         this.tapNoteManager.update();
         this.arcManager.update();
         this.holdManager.update();
+        this.sceneControlManager.update();
         this.cameraManager.update();
+        this.diffManager.update();
+        this.resultManager.update();
 
         var comboText = document.getElementById("combo");
         var scoreText = document.getElementById("score");
@@ -3342,6 +3886,7 @@ class GameBase {
         }
 
         comboText.innerText = combo >= 2 ? combo : "";
+        this.updateJudgementText();
 
         var scoreStr = "";
         for(var i=7; i>Math.log10(score || 1); i--) {
@@ -3364,6 +3909,22 @@ class GameBase {
         var prog = document.getElementById("track-prog");
         prog.value = GameplayManager.instance.audioManager.timing / (GameplayManager.instance.audioManager.length() || 1) * 100;
 
+        var beatText = document.getElementById("beat-pos");
+        var primary = this.chart ? this.chart.getPrimaryTimingGroup() : null;
+        if(primary && primary.getTimingEvents().length > 0) {
+            var beatPos = primary.getBeatByTiming(this.gameplayManager.timing - this.gameplayManager.audioManager.offset);
+            beatText.innerText = (beatPos.measure + 1) + ":" + (beatPos.beat + 1);
+        } else {
+            beatText.innerText = "";
+        }
+
+        var loadingOverlay = document.getElementById("loading-overlay");
+        var loading = this.assetManager.isLoading();
+        loadingOverlay.classList.toggle("show", loading);
+        if(loading) {
+            document.getElementById("loading-prog").value = this.assetManager.getProgress() * 100;
+        }
+
         if(window.innerHeight > window.innerWidth) {
             document.getElementById("game-wrapper").classList.remove("fullscreen");
         }
@@ -3374,4 +3935,6 @@ class GameBase {
         this.renderer.render(this.backScene, this.backCamera);
         this.renderer.render(this.scene, this.camera);
     }
-}
\ No newline at end of file
+}
+GameBase.trackWidth = 10.24 * 1.78965;
+GameBase.criticalLineWidth = 17.1;
@@ -41,6 +41,12 @@
     appearance.add(Helper, "dropRate").min(1).max(10).step(0.1).listen();
     appearance.add(Helper, "rebuildArcs");
 
+    var gameplay = gui.addFolder("遊玩設定");
+    gameplay.add(currentGame, "mirror");
+    gameplay.add(currentGame.gameplayManager, "autoplay").listen().onChange(() => {
+        currentGame.judgementManager.restart(currentGame.gameplayManager.timing);
+    });
+
     var audio = gui.addFolder("聲音設定");
     audio.add(currentGame.gameplayManager.audioManager, "semitoneOffset").min(-12).max(12).step(1).listen();
     audio.add(Helper, "speed").min(0).max(4).listen();